@@ -0,0 +1,309 @@
+"use strict";
+/**
+ * Home Assistant WebSocket client
+ *
+ * One long-lived, authenticated connection to HA's WebSocket API.
+ * - Reconnects with exponential backoff and jitter
+ * - Detects dead connections with HA's ping/pong
+ * - sendCommand() resolves with the command's result (or rejects on error/timeout)
+ * - Re-subscribes to every subscribed event type and trigger after a reconnect
+ *
+ * Emits:
+ * - "state" (state, previousState): disconnected | connecting | authenticating | connected | stopped
+ * - "connected": authenticated and subscriptions re-sent
+ * - "disconnected" (reason)
+ * - "event" (event): an HA event envelope's `event` for any subscribe_events
+ * - "trigger" (key, variables): a subscribeTrigger() subscription fired
+ * - "auth_invalid" (message)
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.HaWebSocketClient = exports.HaCommandError = void 0;
+const events_1 = require("events");
+class HaCommandError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "HaCommandError";
+        this.code = code;
+    }
+}
+exports.HaCommandError = HaCommandError;
+const DEFAULTS = {
+    minBackoffMs: 1000,
+    maxBackoffMs: 60000,
+    pingIntervalMs: 30000,
+    pingTimeoutMs: 10000,
+    commandTimeoutMs: 15000,
+    logPrefix: "[Agent/WS]",
+};
+class HaWebSocketClient extends events_1.EventEmitter {
+    constructor(options) {
+        super();
+        this.options = { ...DEFAULTS, ...options };
+        this.ws = null;
+        this.state = "disconnected";
+        this.nextId = 1;
+        this.pending = new Map();
+        this.subscriptions = new Set();
+        // key -> { trigger, id }; id is the live subscription's message id
+        this.triggers = new Map();
+        this.attempt = 0;
+        this.reconnectTimer = null;
+        this.pingTimer = null;
+        this.connectedSince = null;
+        this.lastError = null;
+        this.stopped = true;
+    }
+    start() {
+        if (!this.stopped)
+            return;
+        this.stopped = false;
+        this.connect();
+    }
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.ws) {
+            try {
+                this.ws.terminate();
+            }
+            catch { }
+        }
+        this.setState("stopped");
+    }
+    isConnected() {
+        return this.state === "connected";
+    }
+    status() {
+        return {
+            state: this.state,
+            connectedSince: this.connectedSince,
+            reconnectAttempt: this.attempt,
+            lastError: this.lastError,
+            pendingCommands: this.pending.size,
+            subscriptions: [...this.subscriptions],
+            triggers: this.triggers.size,
+        };
+    }
+    /**
+     * Send a command and resolve with its `result`. The id is assigned here.
+     * Rejects with HaCommandError: code "not_connected", "timeout",
+     * "disconnected", or HA's own error code.
+     */
+    sendCommand(message, { timeoutMs } = {}) {
+        if (this.state !== "connected" && !(this.state === "authenticating" && message.type === "ping")) {
+            return Promise.reject(new HaCommandError("not_connected", "Home Assistant WebSocket is not connected"));
+        }
+        return this.send(message, timeoutMs ?? this.options.commandTimeoutMs);
+    }
+    /**
+     * Subscribe to an HA event type ("*" for all). Remembered across
+     * reconnects; resolves once HA acknowledges, or immediately when offline.
+     */
+    subscribeEvents(eventType = "*") {
+        this.subscriptions.add(eventType);
+        if (this.state !== "connected")
+            return Promise.resolve(null);
+        return this.send(this.subscribeMessage(eventType), this.options.commandTimeoutMs);
+    }
+    /**
+     * Subscribe to an HA trigger config (subscribe_trigger), e.g. a device
+     * trigger. Fires "trigger" with `key`; kept across reconnects until
+     * unsubscribeTrigger(key).
+     */
+    subscribeTrigger(key, trigger) {
+        this.unsubscribeTrigger(key);
+        const entry = { trigger, id: null };
+        this.triggers.set(key, entry);
+        if (this.state !== "connected")
+            return Promise.resolve(null);
+        return this.sendTriggerSubscription(key, entry);
+    }
+    unsubscribeTrigger(key) {
+        const entry = this.triggers.get(key);
+        if (!entry)
+            return;
+        this.triggers.delete(key);
+        if (entry.id !== null && this.state === "connected") {
+            this.send({ type: "unsubscribe_events", subscription: entry.id }, this.options.commandTimeoutMs).catch(() => { });
+        }
+    }
+    sendTriggerSubscription(key, entry) {
+        // send() takes the next id; events for this subscription carry it
+        entry.id = this.nextId;
+        return this.send({ type: "subscribe_trigger", trigger: entry.trigger }, this.options.commandTimeoutMs).catch((err) => {
+            if (this.triggers.get(key) === entry)
+                entry.id = null;
+            console.error(`${this.options.logPrefix} Subscribing to trigger ${key} failed:`, err.message);
+        });
+    }
+    subscribeMessage(eventType) {
+        return eventType === "*" ? { type: "subscribe_events" } : { type: "subscribe_events", event_type: eventType };
+    }
+    send(message, timeoutMs) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new HaCommandError("timeout", `${message.type} timed out after ${timeoutMs}ms`));
+            }, timeoutMs);
+            this.pending.set(id, { resolve, reject, timer });
+            try {
+                this.ws.send(JSON.stringify({ ...message, id }));
+            }
+            catch (err) {
+                clearTimeout(timer);
+                this.pending.delete(id);
+                reject(new HaCommandError("send_failed", err.message || String(err)));
+            }
+        });
+    }
+    setState(state) {
+        if (state === this.state)
+            return;
+        const previous = this.state;
+        this.state = state;
+        this.emit("state", state, previous);
+    }
+    connect() {
+        if (this.stopped)
+            return;
+        const { url, WebSocket, logPrefix } = this.options;
+        console.log(`${logPrefix} Connecting to HA WebSocket: ${url}`);
+        this.setState("connecting");
+        let ws;
+        try {
+            ws = new WebSocket(url);
+        }
+        catch (err) {
+            this.lastError = err.message || String(err);
+            console.error(`${logPrefix} Could not open WebSocket:`, this.lastError);
+            this.scheduleReconnect();
+            return;
+        }
+        this.ws = ws;
+        ws.on("open", () => {
+            console.log(`${logPrefix} WebSocket connected`);
+            this.setState("authenticating");
+        });
+        ws.on("message", (raw) => {
+            let msg;
+            try {
+                msg = JSON.parse(raw.toString());
+            }
+            catch (err) {
+                console.error(`${logPrefix} Parse error:`, err);
+                return;
+            }
+            this.handleMessage(ws, msg);
+        });
+        ws.on("close", () => this.handleClose(ws));
+        ws.on("error", (err) => {
+            this.lastError = err.message || String(err);
+            console.error(`${logPrefix} WebSocket error:`, this.lastError);
+        });
+    }
+    handleMessage(ws, msg) {
+        if (ws !== this.ws)
+            return;
+        if (msg.type === "auth_required") {
+            ws.send(JSON.stringify({ type: "auth", access_token: this.options.token }));
+        }
+        else if (msg.type === "auth_ok") {
+            this.attempt = 0;
+            this.lastError = null;
+            this.connectedSince = new Date().toISOString();
+            this.setState("connected");
+            for (const eventType of this.subscriptions) {
+                this.send(this.subscribeMessage(eventType), this.options.commandTimeoutMs).catch((err) => {
+                    console.error(`${this.options.logPrefix} Subscribing to ${eventType} failed:`, err.message);
+                });
+            }
+            for (const [key, entry] of this.triggers) {
+                this.sendTriggerSubscription(key, entry);
+            }
+            this.startPing();
+            this.emit("connected");
+        }
+        else if (msg.type === "auth_invalid") {
+            this.lastError = `auth_invalid: ${msg.message}`;
+            console.error(`${this.options.logPrefix} Auth failed:`, msg.message);
+            this.emit("auth_invalid", msg.message);
+            ws.close();
+        }
+        else if (msg.type === "event") {
+            const trigger = [...this.triggers].find(([, entry]) => entry.id === msg.id);
+            if (trigger)
+                this.emit("trigger", trigger[0], msg.event?.variables?.trigger ?? msg.event);
+            else if (msg.event)
+                this.emit("event", msg.event);
+        }
+        else if ((msg.type === "result" || msg.type === "pong") && this.pending.has(msg.id)) {
+            const { resolve, reject, timer } = this.pending.get(msg.id);
+            clearTimeout(timer);
+            this.pending.delete(msg.id);
+            if (msg.type === "pong" || msg.success) {
+                resolve(msg.result ?? null);
+            }
+            else {
+                reject(new HaCommandError(msg.error?.code || "unknown_error", msg.error?.message || "Command failed"));
+            }
+        }
+    }
+    // A missed pong means the socket is dead even if TCP hasn't noticed yet
+    startPing() {
+        clearInterval(this.pingTimer);
+        const ws = this.ws;
+        this.pingTimer = setInterval(() => {
+            this.send({ type: "ping" }, this.options.pingTimeoutMs).catch(() => {
+                if (ws !== this.ws)
+                    return;
+                this.lastError = "ping timeout";
+                console.warn(`${this.options.logPrefix} No pong from HA, dropping connection`);
+                try {
+                    ws.terminate();
+                }
+                catch { }
+            });
+        }, this.options.pingIntervalMs);
+    }
+    handleClose(ws) {
+        if (ws !== this.ws)
+            return;
+        this.ws = null;
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+        const wasConnected = this.state === "connected";
+        for (const { reject, timer } of this.pending.values()) {
+            clearTimeout(timer);
+            reject(new HaCommandError("disconnected", "Home Assistant WebSocket disconnected"));
+        }
+        this.pending.clear();
+        for (const entry of this.triggers.values())
+            entry.id = null;
+        this.connectedSince = null;
+        if (this.stopped)
+            return;
+        this.setState("disconnected");
+        if (wasConnected)
+            this.emit("disconnected", this.lastError || "closed");
+        this.scheduleReconnect();
+    }
+    // Equal jitter: half of an exponentially growing window, plus a random share of the other half
+    scheduleReconnect() {
+        if (this.stopped)
+            return;
+        this.setState("disconnected");
+        const { minBackoffMs, maxBackoffMs, logPrefix } = this.options;
+        const ceiling = Math.min(maxBackoffMs, minBackoffMs * 2 ** this.attempt);
+        const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+        this.attempt++;
+        console.log(`${logPrefix} Reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${this.attempt})`);
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+}
+exports.HaWebSocketClient = HaWebSocketClient;
@@ -8,6 +8,10 @@ HA_TOKEN=$(bashio::config 'ha_token')
 HA_BASE_URL=$(bashio::config 'ha_base_url')
 HOMECASA_CLOUD_URL=$(bashio::config 'homecasa_cloud_url')
 HOME_ID=$(bashio::config 'home_id')
+TRUSTED_PROXIES=$(bashio::config 'trusted_proxies')
+LOCAL_NETWORKS=$(bashio::config 'local_networks')
+CLOUD_FAILOVER_HEARTBEATS=$(bashio::config 'cloud_failover_heartbeats')
+SYNC_SIGNING_KEY=$(bashio::config 'sync_signing_key')
 PORT=$(bashio::config 'port')
 
 export TUNNEL_TOKEN
@@ -24,6 +28,18 @@ fi
 if [ -n "$HOME_ID" ]; then
   export HOME_ID
 fi
+if [ -n "$TRUSTED_PROXIES" ]; then
+  export TRUSTED_PROXIES
+fi
+if [ -n "$LOCAL_NETWORKS" ]; then
+  export LOCAL_NETWORKS
+fi
+if [ -n "$CLOUD_FAILOVER_HEARTBEATS" ] && [ "$CLOUD_FAILOVER_HEARTBEATS" != "null" ]; then
+  export CLOUD_FAILOVER_HEARTBEATS
+fi
+if [ -n "$SYNC_SIGNING_KEY" ]; then
+  export SYNC_SIGNING_KEY
+fi
 # SUPERVISOR_TOKEN is automatically injected by Home Assistant for add-ons with homeassistant_api: true
 export SUPERVISOR_TOKEN="${SUPERVISOR_TOKEN}"
 
@@ -38,12 +38,16 @@ Object.defineProperty(exports, "__esModule", { value: true });
 const express_1 = __importDefault(require("express"));
 const fs = __importStar(require("fs"));
 const path = __importStar(require("path"));
+const net = __importStar(require("net"));
+const crypto = __importStar(require("crypto"));
+const readline = __importStar(require("readline"));
+const ha_ws_client_1 = require("./ha-ws-client");
 const app = (0, express_1.default)();
 app.use(express_1.default.json({ limit: "5mb" }));
 app.use((req, res, next) => {
     res.header("Access-Control-Allow-Origin", "*");
     res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
-    res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Agent-Api-Key");
+    res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Agent-Api-Key, X-Confirmation-Token, X-Confirmation-Pin");
     if (req.method === "OPTIONS") {
         return res.sendStatus(200);
     }
@@ -58,7 +62,17 @@ const config = {
     heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL || "30") * 1000,
     port: parseInt(process.env.PORT || "8099"),
     homeId: process.env.HOME_ID || "",
+    cloudFailoverHeartbeats: parseInt(process.env.CLOUD_FAILOVER_HEARTBEATS || "3"),
+    // Ed25519 public key that sync bundles must be signed with. When unset the
+    // key the cloud sends at pairing is pinned instead.
+    syncSigningKey: process.env.SYNC_SIGNING_KEY || "",
+    // Comma-separated CIDRs. Trusted proxies may tell us the real client via
+    // CF-Connecting-IP / X-Forwarded-For; local networks skip the API key.
+    trustedProxies: process.env.TRUSTED_PROXIES || "127.0.0.1/32,::1/128",
+    localNetworks: process.env.LOCAL_NETWORKS || "127.0.0.0/8,::1/128,10.0.0.0/8,172.16.0.0/12,192.168.0.0/16",
 };
+// Persistent agent state (sync bundle, API keys)
+const DATA_DIR = path.join(process.cwd(), "data", "homecasa");
 // Rate limiting state
 const rateLimitMap = new Map();
 const RATE_LIMIT = 5000; // requests per minute (cloud tunnel shares one IP across all PWA clients)
@@ -78,46 +92,105 @@ function rateLimit(req, res, next) {
     }
     next();
 }
-// Check if an IP is in a private/local range
+// Build a net.BlockList from a comma-separated list of CIDRs or bare addresses
+function buildNetworkList(spec, label) {
+    const list = new net.BlockList();
+    for (const raw of (spec || "").split(",")) {
+        const entry = raw.trim();
+        if (!entry)
+            continue;
+        const [addr, prefixStr] = entry.split("/");
+        const family = net.isIP(addr);
+        const maxPrefix = family === 4 ? 32 : 128;
+        const prefix = prefixStr === undefined ? maxPrefix : parseInt(prefixStr, 10);
+        if (!family || isNaN(prefix) || prefix < 0 || prefix > maxPrefix) {
+            console.warn(`[Agent] Ignoring invalid ${label} entry: ${entry}`);
+            continue;
+        }
+        list.addSubnet(addr, prefix, family === 4 ? "ipv4" : "ipv6");
+    }
+    return list;
+}
+const trustedProxyList = buildNetworkList(config.trustedProxies, "trusted_proxies");
+const localNetworkList = buildNetworkList(config.localNetworks, "local_networks");
+function normalizeIP(ip) {
+    return (ip || "").trim().replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, "$1");
+}
+function ipInList(list, ip) {
+    const cleaned = normalizeIP(ip);
+    const family = net.isIP(cleaned);
+    if (!family)
+        return false;
+    return list.check(cleaned, family === 4 ? "ipv4" : "ipv6");
+}
+// Check if an IP is in one of the configured local networks
 function isLocalIP(ip) {
-    const cleaned = ip.replace(/^::ffff:/, "");
-    if (cleaned === "127.0.0.1" || cleaned === "::1" || cleaned === "localhost") {
+    if (normalizeIP(ip) === "localhost") {
         return true;
     }
-    if (cleaned.startsWith("192.168.") || cleaned.startsWith("10.")) {
-        return true;
+    return ipInList(localNetworkList, ip);
+}
+function isTrustedProxy(ip) {
+    return ipInList(trustedProxyList, ip);
+}
+// Work out who is really on the other end of a request (HTTP or WebSocket
+// upgrade). cloudflared runs on the host network, so tunnel traffic reaches us
+// from loopback/docker addresses and must not be mistaken for LAN traffic.
+function resolveClient(req) {
+    const peer = normalizeIP(req.socket?.remoteAddress || "");
+    const viaTrustedProxy = isTrustedProxy(peer);
+    const cfHeader = req.headers["cf-connecting-ip"];
+    if (cfHeader) {
+        // Only the tunnel sets CF-Connecting-IP, so the request is remote no
+        // matter who handed it to us. Believe the address only from a trusted proxy.
+        const cfIp = normalizeIP(String(cfHeader).split(",")[0]);
+        return { ip: viaTrustedProxy && net.isIP(cfIp) ? cfIp : peer, peer, remote: true, forwarded: true };
     }
-    const match172 = cleaned.match(/^172\.(\d+)\./);
-    if (match172) {
-        const second = parseInt(match172[1], 10);
-        return second >= 16 && second <= 31;
+    const xffHeader = req.headers["x-forwarded-for"];
+    if (xffHeader && viaTrustedProxy) {
+        // Walk the chain right-to-left and stop at the first hop we don't trust
+        const hops = String(xffHeader).split(",").map(normalizeIP).filter((h) => net.isIP(h));
+        let ip = peer;
+        for (let i = hops.length - 1; i >= 0; i--) {
+            ip = hops[i];
+            if (!isTrustedProxy(ip))
+                break;
+        }
+        return { ip, peer, remote: !isLocalIP(ip), forwarded: true };
     }
-    return false;
+    return { ip: peer, peer, remote: !isLocalIP(peer), forwarded: false };
 }
 // Middleware: Agent API Key authentication (for remote requests)
 function authenticateAgent(req, res, next) {
-    const ip = req.ip || req.socket.remoteAddress || "";
-    if (isLocalIP(ip)) {
+    const client = resolveClient(req);
+    req.agentClient = client;
+    if (!client.remote) {
         return next();
     }
-    // Remote requests require API key (supports both header formats)
-    const agentKeyHeader = req.headers["x-agent-api-key"];
-    const authHeader = req.headers.authorization;
-    let providedKey = "";
-    if (agentKeyHeader) {
-        providedKey = agentKeyHeader;
-    }
-    else if (authHeader && authHeader.startsWith("Bearer ")) {
-        providedKey = authHeader.substring(7);
-    }
+    // Remote requests require API key
+    const providedKey = extractApiKey(req);
     if (!providedKey) {
         return res.status(401).json({ error: "Missing authorization" });
     }
-    if (providedKey !== config.agentApiKey) {
+    const key = findApiKey(providedKey);
+    if (!key) {
         return res.status(401).json({ error: "Invalid API key" });
     }
+    req.agentKey = key;
     next();
 }
+// Read the presented API key (supports both header formats)
+function extractApiKey(req) {
+    const agentKeyHeader = req.headers["x-agent-api-key"];
+    const authHeader = req.headers.authorization;
+    if (agentKeyHeader) {
+        return String(agentKeyHeader);
+    }
+    if (authHeader && authHeader.startsWith("Bearer ")) {
+        return authHeader.substring(7);
+    }
+    return "";
+}
 // Helper: Call Home Assistant API
 async function callHA(method, endpoint, body) {
     try {
@@ -132,10 +205,10 @@ async function callHA(method, endpoint, body) {
         });
         if (!response.ok) {
             const text = await response.text();
-            return { success: false, error: `HA API error ${response.status}: ${text}` };
+            return { success: false, status: response.status, error: `HA API error ${response.status}: ${text}` };
         }
         const data = await response.json();
-        return { success: true, data };
+        return { success: true, status: response.status, data };
     }
     catch (error) {
         return { success: false, error: String(error) };
@@ -237,6 +310,7 @@ app.get("/health", (req, res) => {
         mode: "agent",
         version: "1.3.0",
         haConfigured: !!config.haToken,
+        haWebSocket: haWs ? { state: haWs.state, connectedSince: haWs.connectedSince } : { state: "disabled" },
         ttsCacheSupported: true,
         timestamp: new Date().toISOString(),
     });
@@ -248,39 +322,86 @@ app.get("/ha/config", authenticateAgent, async (_req, res) => {
     }
     res.json(result.data);
 });
-// GET /ha/states - Get all entity states (proxies to HA /api/states)
+// GET /ha/states - Get all entity states (from the state cache, or proxied to
+// HA /api/states when the cache isn't usable or ?fresh=1 is given)
 app.get("/ha/states", authenticateAgent, async (req, res) => {
+    if (useStateCache(req)) {
+        res.setHeader("X-State-Source", "cache");
+        return res.json([...haStateCache.values()].filter((s) => keyAllowsEntity(req.agentKey, s.entity_id)));
+    }
     const result = await callHA("GET", "/states");
     if (!result.success) {
         return res.status(500).json({ error: result.error });
     }
-    res.json(result.data);
+    res.json(result.data.filter((s) => keyAllowsEntity(req.agentKey, s.entity_id)));
 });
 // GET /ha/states/:entityId - Get specific entity state
 app.get("/ha/states/:entityId", authenticateAgent, async (req, res) => {
     const entityId = decodeURIComponent(req.params.entityId);
+    if (!keyAllowsEntity(req.agentKey, entityId)) {
+        return res.status(403).json({ error: `Entity ${entityId} is not allowed for this key`, code: "key_scope_denied" });
+    }
+    if (useStateCache(req)) {
+        const state = haStateCache.get(entityId);
+        if (!state) {
+            return res.status(404).json({ error: `Entity ${entityId} not found` });
+        }
+        res.setHeader("X-State-Source", "cache");
+        return res.json(state);
+    }
     const result = await callHA("GET", `/states/${entityId}`);
     if (!result.success) {
         return res.status(404).json({ error: result.error });
     }
     res.json(result.data);
 });
+// GET /ha/home-model - Floors, areas, devices and entities with names, icons,
+// areas and integrations, from the cached HA registries
+app.get("/ha/home-model", authenticateAgent, async (req, res) => {
+    if (!haRegistries.loadedAt && haWs?.isConnected()) {
+        await loadHaRegistries();
+    }
+    if (!haRegistries.loadedAt) {
+        return res.status(503).json({ error: "Home Assistant registries are not loaded yet", code: "registries_unavailable" });
+    }
+    if (!haHomeModel) {
+        haHomeModel = buildHomeModel();
+    }
+    // Cached while the HA WebSocket is down, but possibly out of date
+    const model = { ...haHomeModel, stale: !wsConnected };
+    if (keyLimitsEntities(req.agentKey)) {
+        model.entities = model.entities.filter((e) => keyAllowsEntity(req.agentKey, e.entityId));
+        const deviceIds = new Set(model.entities.map((e) => e.deviceId));
+        model.devices = model.devices.filter((d) => deviceIds.has(d.deviceId));
+    }
+    res.json(model);
+});
 // GET /ha/zha/device-ieee/:entityId - Get ZHA IEEE address for an entity
 app.get("/ha/zha/device-ieee/:entityId", authenticateAgent, async (req, res) => {
     const entityId = decodeURIComponent(req.params.entityId);
-    const entityReg = await callHA("GET", "/config/entity_registry/list");
-    if (!entityReg.success || !entityReg.data) {
-        return res.status(500).json({ error: "Failed to get entity registry" });
+    if (!keyAllowsEntity(req.agentKey, entityId)) {
+        return res.status(403).json({ error: `Entity ${entityId} is not allowed for this key`, code: "key_scope_denied" });
+    }
+    // The registries cached from the HA WebSocket save downloading both lists
+    let entity = haRegistries.entities?.get(entityId);
+    let device = entity && haRegistries.devices?.get(entity.device_id);
+    if (!haRegistries.loadedAt) {
+        const entityReg = await callHA("GET", "/config/entity_registry/list");
+        if (!entityReg.success || !entityReg.data) {
+            return res.status(500).json({ error: "Failed to get entity registry" });
+        }
+        entity = entityReg.data.find((e) => e.entity_id === entityId);
     }
-    const entity = entityReg.data.find((e) => e.entity_id === entityId);
     if (!entity || !entity.device_id) {
         return res.status(404).json({ error: "Entity not found in registry" });
     }
-    const deviceReg = await callHA("GET", "/config/device_registry/list");
-    if (!deviceReg.success || !deviceReg.data) {
-        return res.status(500).json({ error: "Failed to get device registry" });
+    if (!haRegistries.loadedAt) {
+        const deviceReg = await callHA("GET", "/config/device_registry/list");
+        if (!deviceReg.success || !deviceReg.data) {
+            return res.status(500).json({ error: "Failed to get device registry" });
+        }
+        device = deviceReg.data.find((d) => d.id === entity.device_id);
     }
-    const device = deviceReg.data.find((d) => d.id === entity.device_id);
     if (!device) {
         return res.status(404).json({ error: "Device not found in registry" });
     }
@@ -307,7 +428,11 @@ app.post("/ha/call-service", authenticateAgent, async (req, res) => {
     if (entity_id) {
         serviceData.entity_id = entity_id;
     }
+    if (!authorizeServiceCall(req, res, domain, service, toEntityIdList(serviceData.entity_id), [serviceData])) {
+        return;
+    }
     const result = await callHA("POST", `/services/${domain}/${service}`, serviceData);
+    recordAudit({ source: auditSourceFromRequest(req), domain, service, entityIds: toEntityIdList(serviceData.entity_id), result: auditResult(result) });
     if (!result.success) {
         return res.status(500).json({ error: result.error });
     }
@@ -320,7 +445,11 @@ app.post("/ha/toggle", authenticateAgent, async (req, res) => {
         return res.status(400).json({ error: "entity_id is required" });
     }
     const domain = entity_id.split(".")[0];
+    if (!authorizeServiceCall(req, res, domain, "toggle", [entity_id])) {
+        return;
+    }
     const result = await callHA("POST", `/services/${domain}/toggle`, { entity_id });
+    recordAudit({ source: auditSourceFromRequest(req), domain, service: "toggle", entityIds: [entity_id], result: auditResult(result) });
     if (!result.success) {
         return res.status(500).json({ error: result.error });
     }
@@ -333,11 +462,15 @@ app.post("/ha/turn-on", authenticateAgent, async (req, res) => {
         return res.status(400).json({ error: "entity_id is required" });
     }
     const domain = entity_id.split(".")[0];
+    if (!authorizeServiceCall(req, res, domain, "turn_on", [entity_id])) {
+        return;
+    }
     const data = { entity_id };
     if (brightness !== undefined && domain === "light") {
         data.brightness_pct = brightness;
     }
     const result = await callHA("POST", `/services/${domain}/turn_on`, data);
+    recordAudit({ source: auditSourceFromRequest(req), domain, service: "turn_on", entityIds: [entity_id], result: auditResult(result) });
     if (!result.success) {
         return res.status(500).json({ error: result.error });
     }
@@ -350,271 +483,2538 @@ app.post("/ha/turn-off", authenticateAgent, async (req, res) => {
         return res.status(400).json({ error: "entity_id is required" });
     }
     const domain = entity_id.split(".")[0];
+    if (!authorizeServiceCall(req, res, domain, "turn_off", [entity_id])) {
+        return;
+    }
     const result = await callHA("POST", `/services/${domain}/turn_off`, { entity_id });
+    recordAudit({ source: auditSourceFromRequest(req), domain, service: "turn_off", entityIds: [entity_id], result: auditResult(result) });
     if (!result.success) {
         return res.status(500).json({ error: result.error });
     }
     res.json({ success: true, entity_id });
 });
-// ==================== PWA Static File Serving ====================
-const PWA_DIR = path.resolve(process.cwd(), "pwa");
-let pwaVersion = "";
-function ensurePwaDir() {
-    if (!fs.existsSync(PWA_DIR)) {
-        fs.mkdirSync(PWA_DIR, { recursive: true });
-    }
+// ==================== API Key Management ====================
+// Besides the add-on's agent_api_key (the "primary" key, full access), admins
+// can issue scoped keys for other clients (wall tablet, guest dashboard, ...).
+// Only a SHA-256 of each secret is stored. Rotation keeps the previous secret
+// valid for a grace period so clients can be switched over without downtime.
+const API_KEYS_FILE = path.join(DATA_DIR, "api-keys.json");
+const KEY_ROTATION_GRACE_MS = 24 * 60 * 60 * 1000;
+const PRIMARY_KEY = { id: "primary", name: "Add-on agent_api_key", admin: true, scopes: {} };
+let apiKeys = [];
+function hashSecret(secret) {
+    return crypto.createHash("sha256").update(String(secret)).digest();
 }
-async function syncPwaFromCloud() {
-    if (!config.homecasaCloudUrl) {
-        console.log("[Agent/PWA] No cloud URL configured, skipping sync");
+// Compare digests so differing lengths don't short-circuit the comparison
+function secretMatchesHash(secretHash, storedHex) {
+    if (!storedHex)
         return false;
+    const stored = Buffer.from(storedHex, "hex");
+    return stored.length === secretHash.length && crypto.timingSafeEqual(secretHash, stored);
+}
+function loadApiKeys() {
+    try {
+        if (fs.existsSync(API_KEYS_FILE)) {
+            const data = JSON.parse(fs.readFileSync(API_KEYS_FILE, "utf-8"));
+            apiKeys = Array.isArray(data.keys) ? data.keys : [];
+            console.log(`[Agent/Keys] Loaded ${apiKeys.length} scoped API keys`);
+        }
     }
+    catch (err) {
+        console.error("[Agent/Keys] Error loading API keys:", err);
+    }
+}
+function saveApiKeys() {
     try {
-        const versionRes = await fetch(`${config.homecasaCloudUrl}/api/pwa/version`);
-        if (!versionRes.ok) {
-            console.warn("[Agent/PWA] Failed to fetch version:", versionRes.status);
-            return false;
+        if (!fs.existsSync(DATA_DIR)) {
+            fs.mkdirSync(DATA_DIR, { recursive: true });
         }
-        const { version } = await versionRes.json();
-        if (version === pwaVersion && fs.existsSync(path.join(PWA_DIR, "index.html"))) {
-            console.log("[Agent/PWA] Already up to date:", version);
-            return true;
+        const tmp = `${API_KEYS_FILE}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ keys: apiKeys }, null, 2), { encoding: "utf-8", mode: 0o600 });
+        fs.renameSync(tmp, API_KEYS_FILE);
+    }
+    catch (err) {
+        console.error("[Agent/Keys] Error saving API keys:", err);
+    }
+}
+// Resolve a presented secret to a key record, or null. Every key is checked so
+// the time taken doesn't reveal which (if any) key matched.
+function findApiKey(provided) {
+    if (!provided)
+        return null;
+    const now = Date.now();
+    const providedHash = hashSecret(provided);
+    let match = null;
+    if (config.agentApiKey && secretMatchesHash(providedHash, hashSecret(config.agentApiKey).toString("hex"))) {
+        match = PRIMARY_KEY;
+    }
+    for (const key of apiKeys) {
+        const current = secretMatchesHash(providedHash, key.hash);
+        const previous = secretMatchesHash(providedHash, key.previousHash) && now < (key.previousExpiresAt || 0);
+        if ((current || previous) && !match) {
+            match = key;
         }
-        console.log(`[Agent/PWA] New version available: ${version} (current: ${pwaVersion || "none"})`);
-        const manifestRes = await fetch(`${config.homecasaCloudUrl}/api/pwa/manifest`);
-        if (!manifestRes.ok) {
-            console.warn("[Agent/PWA] Failed to fetch manifest:", manifestRes.status);
-            return false;
+    }
+    if (match && match.expiresAt && now >= match.expiresAt) {
+        return null;
+    }
+    return match;
+}
+function publicKeyInfo(key) {
+    return {
+        id: key.id,
+        name: key.name,
+        admin: !!key.admin,
+        scopes: key.scopes || {},
+        createdAt: key.createdAt,
+        expiresAt: key.expiresAt || null,
+        rotatedAt: key.rotatedAt || null,
+        previousExpiresAt: key.previousExpiresAt && key.previousExpiresAt > Date.now() ? key.previousExpiresAt : null,
+    };
+}
+// Glob-style match where "*" matches any run of characters ("light.*", "*.unlock")
+function matchesPattern(pattern, value) {
+    if (pattern === "*" || pattern === value)
+        return true;
+    if (!pattern.includes("*"))
+        return false;
+    const re = new RegExp("^" + pattern.split("*").map((p) => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$");
+    return re.test(value);
+}
+function matchesAny(patterns, value) {
+    return patterns.some((p) => matchesPattern(p, value));
+}
+// Whether the key may see an entity. No key (local request) sees everything.
+function keyAllowsEntity(key, entityId) {
+    const scopes = key?.scopes;
+    if (!scopes)
+        return true;
+    const domain = entityId.split(".")[0];
+    if (scopes.domains?.length && !scopes.domains.includes(domain))
+        return false;
+    if (scopes.entities?.length && !matchesAny(scopes.entities, entityId))
+        return false;
+    return true;
+}
+// Whether keyAllowsEntity can refuse anything for this key
+function keyLimitsEntities(key) {
+    return Boolean(key?.scopes?.domains?.length || key?.scopes?.entities?.length);
+}
+// Whether the key carries any scope at all (entity, domain or service limits)
+function keyHasScopes(key) {
+    return Object.values(key?.scopes || {}).some((list) => list?.length);
+}
+// Target fields HA expands to entities itself, out of reach of entity scopes
+const SERVICE_TARGET_SELECTORS = ["area_id", "device_id", "floor_id", "label_id"];
+function usesTargetSelectors(...targets) {
+    return targets.some((t) => t && SERVICE_TARGET_SELECTORS.some((f) => t[f] !== undefined && t[f] !== null));
+}
+// Returns null if the key may call domain.service on the entities, else a
+// reason. `targets` are the service data / target objects the call carries.
+function keyServiceDenial(key, domain, service, entityIds, targets = []) {
+    const scopes = key?.scopes;
+    if (!scopes)
+        return null;
+    if (keyLimitsEntities(key) && usesTargetSelectors(...targets)) {
+        return "This key must target entities by entity_id, not by area, device, floor or label";
+    }
+    const fullService = `${domain}.${service}`;
+    if (scopes.deniedServices?.length && matchesAny(scopes.deniedServices, fullService)) {
+        return `Service ${fullService} is denied for this key`;
+    }
+    if (scopes.services?.length && !matchesAny(scopes.services, fullService)) {
+        return `Service ${fullService} is not allowed for this key`;
+    }
+    if (scopes.domains?.length && !scopes.domains.includes(domain)) {
+        return `Domain ${domain} is not allowed for this key`;
+    }
+    if ((scopes.entities?.length || scopes.domains?.length) && entityIds.length === 0) {
+        return "This key must target specific entities";
+    }
+    for (const entityId of entityIds) {
+        if (!keyAllowsEntity(key, entityId)) {
+            return `Entity ${entityId} is not allowed for this key`;
         }
-        const { files } = await manifestRes.json();
-        console.log(`[Agent/PWA] Downloading ${files.length} files...`);
-        ensurePwaDir();
-        let downloaded = 0;
-        for (const file of files) {
-            try {
-                const fileRes = await fetch(`${config.homecasaCloudUrl}/api/pwa/file/${file.path}`);
-                if (!fileRes.ok) {
-                    console.warn(`[Agent/PWA] Failed to download ${file.path}: ${fileRes.status}`);
-                    continue;
-                }
-                const buffer = Buffer.from(await fileRes.arrayBuffer());
-                const filePath = path.join(PWA_DIR, file.path);
-                const fileDir = path.dirname(filePath);
-                if (!fs.existsSync(fileDir)) {
-                    fs.mkdirSync(fileDir, { recursive: true });
-                }
-                fs.writeFileSync(filePath, buffer);
-                downloaded++;
-            }
-            catch (err) {
-                console.warn(`[Agent/PWA] Error downloading ${file.path}:`, err);
+    }
+    return null;
+}
+// Checks the key's scopes and the service policy; returns null or the
+// {status, body} rejection (already audited)
+function serviceCallRejection(req, domain, service, entityIds, targets = []) {
+    const denial = keyServiceDenial(req.agentKey, domain, service, entityIds, targets);
+    const rejection = denial
+        ? { status: 403, body: { error: denial, code: "key_scope_denied" } }
+        : evaluateServicePolicy(req, domain, service, entityIds, targets);
+    if (rejection && rejection.body.code !== "confirmation_required") {
+        recordAudit({ source: auditSourceFromRequest(req), domain, service, entityIds, result: { success: false, rejected: rejection.body.code } });
+    }
+    return rejection;
+}
+// Route helper: sends the structured error and returns false when the call
+// must not go through
+function authorizeServiceCall(req, res, domain, service, entityIds, targets = []) {
+    const rejection = serviceCallRejection(req, domain, service, entityIds, targets);
+    if (!rejection) {
+        return true;
+    }
+    res.status(rejection.status).json(rejection.body);
+    return false;
+}
+function toEntityIdList(entityId) {
+    if (!entityId)
+        return [];
+    return (Array.isArray(entityId) ? entityId : String(entityId).split(",")).map((e) => String(e).trim()).filter(Boolean);
+}
+function sanitizeScopes(input) {
+    const scopes = {};
+    for (const field of ["domains", "entities", "services", "deniedServices"]) {
+        if (input?.[field] !== undefined) {
+            if (!Array.isArray(input[field]) || input[field].some((v) => typeof v !== "string")) {
+                throw new Error(`scopes.${field} must be an array of strings`);
             }
+            scopes[field] = input[field];
         }
-        pwaVersion = version;
-        console.log(`[Agent/PWA] Sync complete: ${downloaded}/${files.length} files (version: ${version})`);
-        return true;
     }
-    catch (err) {
-        console.error("[Agent/PWA] Sync error:", err);
-        return false;
+    return scopes;
+}
+function parseExpiry(body) {
+    if (body.expiresAt === null)
+        return null;
+    if (body.expiresAt !== undefined) {
+        const ts = typeof body.expiresAt === "number" ? body.expiresAt : Date.parse(body.expiresAt);
+        if (isNaN(ts))
+            throw new Error("expiresAt must be a timestamp or ISO date");
+        return ts;
+    }
+    if (body.expiresInDays !== undefined) {
+        const days = Number(body.expiresInDays);
+        if (!(days > 0))
+            throw new Error("expiresInDays must be positive");
+        return Date.now() + days * 24 * 60 * 60 * 1000;
     }
+    return undefined;
 }
-app.get("/pwa/version", (_req, res) => {
-    res.json({ version: pwaVersion, hasPwa: fs.existsSync(path.join(PWA_DIR, "index.html")) });
+function generateSecret() {
+    return `hc_${crypto.randomBytes(32).toString("base64url")}`;
+}
+// Middleware: admin endpoints need an admin key even from the LAN
+function requireAdminKey(req, res, next) {
+    const key = findApiKey(extractApiKey(req));
+    if (!key) {
+        return res.status(401).json({ error: "Admin API key required" });
+    }
+    if (!key.admin) {
+        return res.status(403).json({ error: "This key is not an admin key", code: "admin_required" });
+    }
+    req.agentKey = key;
+    next();
+}
+// GET /api/keys - List scoped keys (secrets are never returned)
+app.get("/api/keys", requireAdminKey, (_req, res) => {
+    res.json({ keys: [publicKeyInfo(PRIMARY_KEY), ...apiKeys.map(publicKeyInfo)] });
 });
-app.use((req, res, next) => {
-    if (req.path.startsWith("/ha/") || req.path.startsWith("/api/") ||
-        req.path.startsWith("/health") || req.path.startsWith("/tts-cache/") ||
-        req.path.startsWith("/pwa/")) {
-        return next();
+// POST /api/keys - Issue a new scoped key; the secret is only shown once
+app.post("/api/keys", requireAdminKey, (req, res) => {
+    const { name, admin } = req.body || {};
+    if (!name || typeof name !== "string") {
+        return res.status(400).json({ error: "name is required" });
     }
-    const pwaIndexPath = path.join(PWA_DIR, "index.html");
-    if (!fs.existsSync(pwaIndexPath)) {
-        return next();
+    let scopes, expiresAt;
+    try {
+        scopes = sanitizeScopes(req.body.scopes);
+        expiresAt = parseExpiry(req.body);
     }
-    const filePath = path.join(PWA_DIR, req.path === "/" ? "index.html" : req.path);
-    const safePath = path.normalize(filePath);
-    if (!safePath.startsWith(PWA_DIR)) {
-        return res.status(403).send("Forbidden");
-    }
-    if (fs.existsSync(safePath) && fs.statSync(safePath).isFile()) {
-        const ext = path.extname(safePath).toLowerCase();
-        const mimeTypes = {
-            ".html": "text/html",
-            ".js": "application/javascript",
-            ".css": "text/css",
-            ".json": "application/json",
-            ".png": "image/png",
-            ".jpg": "image/jpeg",
-            ".jpeg": "image/jpeg",
-            ".svg": "image/svg+xml",
-            ".ico": "image/x-icon",
-            ".woff": "font/woff",
-            ".woff2": "font/woff2",
-            ".ttf": "font/ttf",
-            ".webp": "image/webp",
-            ".webmanifest": "application/manifest+json",
-        };
-        if (mimeTypes[ext]) {
-            res.setHeader("Content-Type", mimeTypes[ext]);
-        }
-        return res.sendFile(safePath);
+    catch (err) {
+        return res.status(400).json({ error: err.message });
     }
-    res.setHeader("Content-Type", "text/html");
-    return res.sendFile(pwaIndexPath);
+    const secret = generateSecret();
+    const key = {
+        id: crypto.randomUUID(),
+        name,
+        admin: !!admin,
+        scopes,
+        hash: hashSecret(secret).toString("hex"),
+        createdAt: Date.now(),
+        expiresAt: expiresAt || null,
+    };
+    apiKeys.push(key);
+    saveApiKeys();
+    console.log(`[Agent/Keys] Created key "${name}" (${key.id})`);
+    res.json({ success: true, key: publicKeyInfo(key), secret });
 });
-const SYNC_DIR = path.join(process.cwd(), "data", "homecasa");
-const SYNC_FILE = path.join(SYNC_DIR, "sync-bundle.json");
-const CONFIG_SYNC_INTERVAL = 30000;
-let currentSyncVersion = 0;
-let syncedBundle = null;
-let syncHomeId = "";
-function loadSyncBundle() {
+// PUT /api/keys/:id - Update name, admin flag, scopes or expiry
+app.put("/api/keys/:id", requireAdminKey, (req, res) => {
+    const key = apiKeys.find((k) => k.id === req.params.id);
+    if (!key) {
+        return res.status(404).json({ error: "Key not found" });
+    }
     try {
-        if (fs.existsSync(SYNC_FILE)) {
-            const data = JSON.parse(fs.readFileSync(SYNC_FILE, "utf-8"));
-            syncedBundle = data;
-            currentSyncVersion = data.syncVersion || 0;
-            syncHomeId = data.homeId || "";
-            console.log(`[Agent/Sync] Loaded bundle v${currentSyncVersion} for home ${syncHomeId} (${data.automations?.length || 0} automations)`);
+        if (req.body.scopes !== undefined)
+            key.scopes = sanitizeScopes(req.body.scopes);
+        const expiresAt = parseExpiry(req.body);
+        if (expiresAt !== undefined)
+            key.expiresAt = expiresAt;
+    }
+    catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (typeof req.body.name === "string" && req.body.name)
+        key.name = req.body.name;
+    if (req.body.admin !== undefined)
+        key.admin = !!req.body.admin;
+    saveApiKeys();
+    res.json({ success: true, key: publicKeyInfo(key) });
+});
+// POST /api/keys/:id/rotate - New secret; the old one keeps working for the grace period
+app.post("/api/keys/:id/rotate", requireAdminKey, (req, res) => {
+    const key = apiKeys.find((k) => k.id === req.params.id);
+    if (!key) {
+        return res.status(404).json({ error: "Key not found" });
+    }
+    const graceMinutes = req.body?.graceMinutes;
+    const graceMs = graceMinutes !== undefined ? Math.max(0, Number(graceMinutes) || 0) * 60 * 1000 : KEY_ROTATION_GRACE_MS;
+    const secret = generateSecret();
+    key.previousHash = key.hash;
+    key.previousExpiresAt = Date.now() + graceMs;
+    key.hash = hashSecret(secret).toString("hex");
+    key.rotatedAt = Date.now();
+    saveApiKeys();
+    console.log(`[Agent/Keys] Rotated key "${key.name}" (${key.id}), old secret valid for ${Math.round(graceMs / 60000)} min`);
+    res.json({ success: true, key: publicKeyInfo(key), secret });
+});
+// DELETE /api/keys/:id - Revoke a key immediately (including any rotated secret)
+app.delete("/api/keys/:id", requireAdminKey, (req, res) => {
+    const index = apiKeys.findIndex((k) => k.id === req.params.id);
+    if (index === -1) {
+        return res.status(404).json({ error: "Key not found" });
+    }
+    const [removed] = apiKeys.splice(index, 1);
+    saveApiKeys();
+    console.log(`[Agent/Keys] Revoked key "${removed.name}" (${removed.id})`);
+    res.json({ success: true });
+});
+// ==================== Service Policy ====================
+// Guards the control routes against sensitive services. Rules are
+// "domain.service" patterns, or { service, entities } objects to limit a rule
+// to some entities. Deny wins over everything; a non-empty allow list turns
+// into an allowlist; requireConfirmation rules need a short-lived
+// confirmation token (or the PIN, if one is set) on a second request.
+const POLICY_FILE = path.join(DATA_DIR, "policy.json");
+const DEFAULT_POLICY = {
+    scope: "remote",
+    deny: ["homeassistant.restart", "homeassistant.stop", "hassio.*", "shell_command.*"],
+    allow: [],
+    requireConfirmation: ["lock.unlock", "lock.open", "alarm_control_panel.alarm_disarm"],
+    confirmationTtlSeconds: 60,
+    pinHash: null,
+};
+const PIN_MAX_FAILURES = 5;
+const PIN_LOCKOUT_MS = 5 * 60 * 1000;
+let servicePolicy = { ...DEFAULT_POLICY };
+const pendingConfirmations = new Map();
+const pinFailures = new Map();
+// The file is checked like a PUT; a field that fails falls back to its default
+function sanitizeStoredPolicy(stored) {
+    const policy = { ...DEFAULT_POLICY };
+    if (!isPlainObject(stored)) {
+        console.warn("[Agent/Policy] policy.json is not an object, using defaults");
+        return policy;
+    }
+    for (const field of ["deny", "allow", "requireConfirmation"]) {
+        if (stored[field] === undefined)
+            continue;
+        try {
+            policy[field] = sanitizeRules(stored[field], field);
+        }
+        catch (err) {
+            console.warn(`[Agent/Policy] Ignoring stored ${field}: ${err.message}`);
+        }
+    }
+    if (stored.scope === "remote" || stored.scope === "all") {
+        policy.scope = stored.scope;
+    }
+    const ttl = Number(stored.confirmationTtlSeconds);
+    if (ttl >= 10 && ttl <= 600) {
+        policy.confirmationTtlSeconds = ttl;
+    }
+    if (typeof stored.pinHash === "string" && /^[0-9a-f]+:[0-9a-f]{64}$/.test(stored.pinHash)) {
+        policy.pinHash = stored.pinHash;
+    }
+    return policy;
+}
+function loadPolicy() {
+    try {
+        if (fs.existsSync(POLICY_FILE)) {
+            servicePolicy = sanitizeStoredPolicy(JSON.parse(fs.readFileSync(POLICY_FILE, "utf-8")));
+            console.log(`[Agent/Policy] Loaded policy (${servicePolicy.deny.length} deny, ${servicePolicy.allow.length} allow, ${servicePolicy.requireConfirmation.length} confirm)`);
         }
     }
     catch (err) {
-        console.error("[Agent/Sync] Error loading bundle:", err);
+        console.error("[Agent/Policy] Error loading policy, using defaults:", err);
     }
 }
-function saveSyncBundle(bundle) {
+function savePolicy() {
     try {
-        if (!fs.existsSync(SYNC_DIR)) {
-            fs.mkdirSync(SYNC_DIR, { recursive: true });
+        if (!fs.existsSync(DATA_DIR)) {
+            fs.mkdirSync(DATA_DIR, { recursive: true });
         }
-        fs.writeFileSync(SYNC_FILE, JSON.stringify(bundle, null, 2), "utf-8");
+        const tmp = `${POLICY_FILE}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(servicePolicy, null, 2), { encoding: "utf-8", mode: 0o600 });
+        fs.renameSync(tmp, POLICY_FILE);
     }
     catch (err) {
-        console.error("[Agent/Sync] Error saving bundle:", err);
+        console.error("[Agent/Policy] Error saving policy:", err);
     }
 }
-async function syncConfigFromCloud() {
-    if (!config.homecasaCloudUrl || !config.agentApiKey) {
+function publicPolicy() {
+    const { pinHash, ...rest } = servicePolicy;
+    return { ...rest, pinConfigured: !!pinHash };
+}
+// A call that also targets areas/devices/floors/labels reaches entities we
+// can't see, so an entity-limited rule can't be ruled out: it counts as
+// matching for deny and confirmation rules, and as not matching for allow rules
+// (`unresolved` is then the answer to give).
+function ruleMatches(rule, fullService, entityIds, unresolved = null) {
+    if (typeof rule === "string")
+        return matchesPattern(rule, fullService);
+    if (!rule || !matchesPattern(rule.service || "*", fullService))
         return false;
+    if (!rule.entities?.length)
+        return true;
+    if (unresolved !== null)
+        return unresolved;
+    return entityIds.some((e) => matchesAny(rule.entities, e));
+}
+function hashPin(pin, salt) {
+    const useSalt = salt || crypto.randomBytes(16).toString("hex");
+    return `${useSalt}:${crypto.scryptSync(String(pin), useSalt, 32).toString("hex")}`;
+}
+function pinMatches(pin) {
+    const [salt, expected] = (servicePolicy.pinHash || "").split(":");
+    if (!salt || !expected)
+        return false;
+    const actual = Buffer.from(hashPin(pin, salt).split(":")[1], "hex");
+    return crypto.timingSafeEqual(actual, Buffer.from(expected, "hex"));
+}
+function confirmationFingerprint(req, fullService, entityIds) {
+    return `${req.agentKey?.id || "local"}|${fullService}|${[...entityIds].sort().join(",")}`;
+}
+function cleanPendingConfirmations() {
+    const now = Date.now();
+    for (const [token, entry] of pendingConfirmations.entries()) {
+        if (now > entry.expiresAt) {
+            pendingConfirmations.delete(token);
+        }
+    }
+}
+// Returns null when the call may proceed, else { status, body } to send back
+function evaluateServicePolicy(req, domain, service, entityIds, targets = []) {
+    if (servicePolicy.scope !== "all" && req.agentClient && !req.agentClient.remote) {
+        return null;
+    }
+    const fullService = `${domain}.${service}`;
+    const selectors = usesTargetSelectors(...targets);
+    if (servicePolicy.deny.some((r) => ruleMatches(r, fullService, entityIds, selectors ? true : null))) {
+        return { status: 403, body: { error: `${fullService} is blocked by the agent's service policy`, code: "service_denied" } };
+    }
+    if (servicePolicy.allow.length && !servicePolicy.allow.some((r) => ruleMatches(r, fullService, entityIds, selectors ? false : null))) {
+        return { status: 403, body: { error: `${fullService} is not on the agent's allow list`, code: "service_not_allowed" } };
+    }
+    if (!servicePolicy.requireConfirmation.some((r) => ruleMatches(r, fullService, entityIds, selectors ? true : null))) {
+        return null;
+    }
+    cleanPendingConfirmations();
+    const fingerprint = confirmationFingerprint(req, fullService, entityIds);
+    const pin = req.body?.pin ?? req.headers["x-confirmation-pin"];
+    const token = req.body?.confirmation_token || req.headers["x-confirmation-token"];
+    if (pin !== undefined && servicePolicy.pinHash) {
+        const failKey = req.agentKey?.id || req.agentClient?.ip || "unknown";
+        const failures = pinFailures.get(failKey);
+        if (failures && failures.count >= PIN_MAX_FAILURES && Date.now() < failures.lockedUntil) {
+            return { status: 429, body: { error: "Too many wrong PIN attempts, try again later", code: "pin_locked" } };
+        }
+        if (pinMatches(pin)) {
+            pinFailures.delete(failKey);
+            return null;
+        }
+        const count = (failures?.count || 0) + 1;
+        pinFailures.set(failKey, { count, lockedUntil: Date.now() + PIN_LOCKOUT_MS });
+        return { status: 403, body: { error: "Wrong PIN", code: "pin_invalid" } };
     }
+    // The token goes back to the caller that asked, so on its own it only
+    // proves a UI round trip. Once a PIN is set, remote and relay callers
+    // must use it.
+    const pinRequired = !!servicePolicy.pinHash && (req.relay || !!req.agentClient?.remote);
+    if (token && pinRequired) {
+        return { status: 403, body: { error: "Remote confirmation needs the PIN", code: "pin_required" } };
+    }
+    if (token) {
+        const entry = pendingConfirmations.get(String(token));
+        if (entry && entry.fingerprint === fingerprint) {
+            pendingConfirmations.delete(String(token));
+            return null;
+        }
+        return { status: 403, body: { error: "Confirmation token is invalid or expired", code: "confirmation_invalid" } };
+    }
+    if (pinRequired) {
+        return { status: 428, body: { error: `${fullService} needs the PIN`, code: "confirmation_required", pinAccepted: true, pinRequired } };
+    }
+    const confirmationToken = crypto.randomBytes(16).toString("hex");
+    const expiresAt = Date.now() + servicePolicy.confirmationTtlSeconds * 1000;
+    pendingConfirmations.set(confirmationToken, { fingerprint, expiresAt });
+    return {
+        status: 428,
+        body: {
+            error: `${fullService} needs confirmation`,
+            code: "confirmation_required",
+            confirmationToken,
+            expiresAt: new Date(expiresAt).toISOString(),
+            pinAccepted: !!servicePolicy.pinHash,
+            pinRequired,
+        },
+    };
+}
+function sanitizeRules(rules, field) {
+    if (!Array.isArray(rules)) {
+        throw new Error(`${field} must be an array`);
+    }
+    for (const rule of rules) {
+        const ok = typeof rule === "string" ||
+            (rule && typeof rule.service === "string" && (rule.entities === undefined || (Array.isArray(rule.entities) && rule.entities.every((e) => typeof e === "string"))));
+        if (!ok) {
+            throw new Error(`${field} entries must be "domain.service" strings or { service, entities } objects`);
+        }
+    }
+    return rules;
+}
+// GET /api/policy - Current service policy (PIN is never returned)
+app.get("/api/policy", requireAdminKey, (_req, res) => {
+    res.json(publicPolicy());
+});
+// PUT /api/policy - Replace policy fields; "pin": null clears the PIN
+app.put("/api/policy", requireAdminKey, (req, res) => {
+    const body = req.body || {};
+    const next = { ...servicePolicy };
     try {
-        const headers = { "X-Agent-Api-Key": config.agentApiKey };
-        if (!syncHomeId) {
-            console.log("[Agent/Sync] No homeId known yet, skipping version check");
-            return false;
+        for (const field of ["deny", "allow", "requireConfirmation"]) {
+            if (body[field] !== undefined)
+                next[field] = sanitizeRules(body[field], field);
         }
-        const versionRes = await fetch(`${config.homecasaCloudUrl}/api/sync/${syncHomeId}/version`, { headers });
-        if (!versionRes.ok) {
-            console.warn(`[Agent/Sync] Version check failed: ${versionRes.status}`);
-            return false;
+        if (body.scope !== undefined) {
+            if (body.scope !== "remote" && body.scope !== "all")
+                throw new Error('scope must be "remote" or "all"');
+            next.scope = body.scope;
         }
-        const { syncVersion } = await versionRes.json();
-        if (syncVersion <= currentSyncVersion && syncedBundle !== null) {
-            return true;
+        if (body.confirmationTtlSeconds !== undefined) {
+            const ttl = Number(body.confirmationTtlSeconds);
+            if (!(ttl >= 10 && ttl <= 600))
+                throw new Error("confirmationTtlSeconds must be between 10 and 600");
+            next.confirmationTtlSeconds = ttl;
         }
-        console.log(`[Agent/Sync] New config version: ${syncVersion} (current: ${currentSyncVersion})`);
-        const bundleRes = await fetch(`${config.homecasaCloudUrl}/api/sync/${syncHomeId}/bundle`, { headers });
-        if (!bundleRes.ok) {
-            console.warn(`[Agent/Sync] Bundle fetch failed: ${bundleRes.status}`);
-            return false;
+        if (body.pin === null) {
+            next.pinHash = null;
+        }
+        else if (body.pin !== undefined) {
+            if (!/^\d{4,10}$/.test(String(body.pin)))
+                throw new Error("pin must be 4-10 digits");
+            next.pinHash = hashPin(String(body.pin));
         }
-        const bundle = await bundleRes.json();
-        syncedBundle = bundle;
-        currentSyncVersion = bundle.syncVersion;
-        saveSyncBundle(bundle);
-        console.log(`[Agent/Sync] Synced v${currentSyncVersion}: ${bundle.automations.length} automations`);
-        return true;
     }
     catch (err) {
-        console.error("[Agent/Sync] Sync error:", err);
-        return false;
+        return res.status(400).json({ error: err.message });
     }
-}
-app.get("/api/sync/status", authenticateAgent, (_req, res) => {
-    res.json({
-        homeId: syncHomeId,
-        syncVersion: currentSyncVersion,
-        automationCount: syncedBundle?.automations?.length || 0,
-        localAutomationsActive: localAutomationsEnabled,
-        lastSync: syncedBundle?.timestamp || null,
-    });
+    servicePolicy = next;
+    savePolicy();
+    console.log("[Agent/Policy] Policy updated");
+    res.json({ success: true, policy: publicPolicy() });
 });
-// ==================== LOCAL AUTOMATION ENGINE ====================
-let localAutomationsEnabled = true;
-const automationCooldowns = new Map();
-const entityStates = new Map();
-const previousEntityStates = new Map();
-const BUTTON_CMD_MAP = {
-    button_single: ["single", "toggle", "1", "click", "single_click", "remote_button_short_press", "remote_button_short_release", "button_single", "short_press", "press"],
-    button_double: ["double", "2", "double_click", "remote_button_double_press", "button_double", "double_press"],
-    button_long: ["long", "hold", "long_press", "long_click", "remote_button_long_press", "remote_button_long_release", "button_long", "long_release"],
-    button_triple: ["triple", "3", "triple_click", "remote_button_triple_press", "button_triple", "triple_press"],
-};
-const processedZhaTimestamps = new Map();
-function evaluateLocalTrigger(trigger, zhaEvent) {
-    if (trigger.type === "sensor" && trigger.comparator?.startsWith("button_")) {
-        if (!zhaEvent)
-            return false;
-        if (trigger.sensorEntityId !== zhaEvent.device_ieee && trigger.sensorEntityId !== zhaEvent.unique_id)
-            return false;
-        const targetCmds = BUTTON_CMD_MAP[trigger.comparator] || [];
-        const cmd = (zhaEvent.command || "").toLowerCase();
-        return targetCmds.includes(cmd);
-    }
-    if (trigger.type === "sensor") {
-        const entityId = trigger.sensorEntityId;
-        const currentState = entityStates.get(entityId);
-        const prevState = previousEntityStates.get(entityId);
-        if (!currentState)
-            return false;
-        switch (trigger.comparator) {
-            case "turns_on": return currentState === "on" && prevState !== "on";
-            case "turns_off": return currentState === "off" && prevState !== "off";
-            case "opens": return currentState === "on" && prevState !== "on";
-            case "closes": return currentState === "off" && prevState !== "off";
-            case "motion_detected": return currentState === "on" && prevState !== "on";
-            case "no_motion": return currentState === "off" && prevState !== "off";
-            case "above": {
-                const val = parseFloat(currentState);
-                const threshold = parseFloat(trigger.value || "0");
-                return !isNaN(val) && val > threshold;
-            }
-            case "below": {
-                const val = parseFloat(currentState);
-                const threshold = parseFloat(trigger.value || "0");
-                return !isNaN(val) && val < threshold;
+// ==================== Audit Log ====================
+// Append-only JSON-lines record of every control action (REST, relay and local
+// automations). When audit.log passes AUDIT_MAX_BYTES it becomes audit.log.1,
+// replacing the previous one, so at most two files are ever kept.
+const AUDIT_FILE = path.join(DATA_DIR, "audit.log");
+const AUDIT_ROTATED_FILE = `${AUDIT_FILE}.1`;
+const AUDIT_MAX_BYTES = 2 * 1024 * 1024;
+let auditFileSize = -1;
+function recordAudit(entry) {
+    const line = JSON.stringify({ ts: new Date().toISOString(), ...entry }) + "\n";
+    const bytes = Buffer.byteLength(line);
+    try {
+        if (auditFileSize < 0) {
+            if (!fs.existsSync(DATA_DIR)) {
+                fs.mkdirSync(DATA_DIR, { recursive: true });
             }
-            default: return false;
+            auditFileSize = fs.existsSync(AUDIT_FILE) ? fs.statSync(AUDIT_FILE).size : 0;
         }
-    }
-    if (trigger.type === "time") {
-        const now = new Date();
-        const localHour = now.getHours();
-        const localMinute = now.getMinutes();
-        const targetH = parseInt(trigger.hour || "0");
-        const targetM = parseInt(trigger.minute || "0");
-        if (localHour !== targetH || localMinute !== targetM)
-            return false;
-        if (trigger.days && Array.isArray(trigger.days) && trigger.days.length > 0) {
-            const dayOfWeek = now.getDay();
-            if (!trigger.days.includes(dayOfWeek))
-                return false;
+        if (auditFileSize + bytes > AUDIT_MAX_BYTES) {
+            fs.renameSync(AUDIT_FILE, AUDIT_ROTATED_FILE);
+            auditFileSize = 0;
         }
-        return true;
+        fs.appendFileSync(AUDIT_FILE, line, "utf-8");
+        auditFileSize += bytes;
+    }
+    catch (err) {
+        auditFileSize = -1;
+        console.error("[Agent/Audit] Failed to write audit entry:", err);
     }
-    return false;
 }
-function evaluateLocalTriggerGroups(triggerGroups, zhaEvent) {
+function auditSourceFromRequest(req) {
+    const client = req.agentClient || resolveClient(req);
+    return {
+        type: req.relay ? "relay" : client.remote ? "remote" : "local",
+        ip: client.ip,
+        keyId: req.agentKey?.id,
+        keyName: req.agentKey?.name,
+    };
+}
+function auditResult(result) {
+    return { success: result.success, status: result.status, error: result.success ? undefined : result.error };
+}
+// Streams both files oldest to newest without holding them in memory: counts
+// the entries that pass `matches` and keeps only the newest `keep` of them.
+async function scanAuditEntries(matches, keep) {
+    let total = 0;
+    const newest = [];
+    for (const file of [AUDIT_ROTATED_FILE, AUDIT_FILE]) {
+        if (!fs.existsSync(file))
+            continue;
+        const lines = readline.createInterface({ input: fs.createReadStream(file, { encoding: "utf-8" }), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line)
+                continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            }
+            catch {
+                continue;
+            }
+            if (!matches(entry))
+                continue;
+            total++;
+            newest.push(entry);
+            if (newest.length > keep)
+                newest.shift();
+        }
+    }
+    return { total, entries: newest.reverse() };
+}
+// Query-string time: ISO date or millisecond timestamp. null when absent, NaN when invalid.
+function parseTimeParam(value) {
+    if (value === undefined || value === "")
+        return null;
+    const str = String(value);
+    return /^\d+$/.test(str) ? Number(str) : Date.parse(str);
+}
+function auditSourceMatches(source, filter) {
+    return !!source && (source.type === filter || source.keyId === filter ||
+        source.automationId === filter || source.ip === filter);
+}
+// GET /api/audit - Query the audit log, newest first
+// ?from=&to= (ISO or ms), ?entity=, ?source= (type, key id, automation id or IP), ?limit=&offset=
+app.get("/api/audit", authenticateAgent, async (req, res) => {
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ error: "from/to must be ISO dates or millisecond timestamps" });
+    }
+    const entity = req.query.entity ? String(req.query.entity) : "";
+    const source = req.query.source ? String(req.query.source) : "";
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const matches = (e) => {
+        const ts = Date.parse(e.ts);
+        if (from !== null && ts < from)
+            return false;
+        if (to !== null && ts > to)
+            return false;
+        const entityIds = e.entityIds || [];
+        if (entity && !entityIds.some((id) => matchesPattern(entity, id)))
+            return false;
+        if (source && !auditSourceMatches(e.source, source))
+            return false;
+        // Scoped keys only see entries about entities they may use
+        if (keyHasScopes(req.agentKey)) {
+            return entityIds.length > 0 && entityIds.every((id) => keyAllowsEntity(req.agentKey, id));
+        }
+        return true;
+    };
+    try {
+        const { total, entries } = await scanAuditEntries(matches, offset + limit);
+        res.json({ total, offset, limit, entries: entries.slice(offset) });
+    }
+    catch (err) {
+        res.status(500).json({ error: String(err) });
+    }
+});
+// ==================== History & Logbook ====================
+// Proxies HA's history and logbook APIs. Numeric history is reduced to
+// min/max/avg buckets here, so a week of a fast sensor doesn't cross the
+// tunnel sample by sample.
+const HISTORY_DEFAULT_RANGE = 24 * 60 * 60 * 1000;
+const HISTORY_MAX_RANGE = 31 * 24 * 60 * 60 * 1000;
+// Largest timestamp a Date can hold
+const MAX_DATE_MS = 8.64e15;
+const HISTORY_DEFAULT_POINTS = 300;
+const HISTORY_MAX_POINTS = 2000;
+const LOGBOOK_MAX_LIMIT = 1000;
+const NON_NUMERIC_STATES = new Set(["unavailable", "unknown", ""]);
+// from/to query params with defaults: the last 24 hours
+function parseTimeRange(query) {
+    const to = parseTimeParam(query.to);
+    const end = to ?? Date.now();
+    const from = parseTimeParam(query.from);
+    const start = from ?? end - HISTORY_DEFAULT_RANGE;
+    if (!(Math.abs(start) <= MAX_DATE_MS) || !(Math.abs(end) <= MAX_DATE_MS)) {
+        return { error: "from/to must be ISO dates or millisecond timestamps" };
+    }
+    if (start >= end) {
+        return { error: "from must be before to" };
+    }
+    if (end - start > HISTORY_MAX_RANGE) {
+        return { error: "from/to may be at most 31 days apart" };
+    }
+    return { start, end };
+}
+// Entities for a history/logbook query, checked against the key's scopes.
+// Returns { entityIds } or { status, body }.
+function queriedEntities(req, { required }) {
+    const entityIds = toEntityIdList(req.query.entity_ids || req.query.entity_id);
+    if (entityIds.length === 0 && (required || keyLimitsEntities(req.agentKey))) {
+        return { status: 400, body: { error: "entity_ids is required" } };
+    }
+    const denied = entityIds.find((id) => !keyAllowsEntity(req.agentKey, id));
+    if (denied) {
+        return { status: 403, body: { error: `Entity ${denied} is not allowed for this key`, code: "key_scope_denied" } };
+    }
+    return { entityIds };
+}
+function isNumericSeries(states) {
+    let numeric = false;
+    for (const s of states) {
+        if (NON_NUMERIC_STATES.has(s.state))
+            continue;
+        if (!Number.isFinite(Number(s.state)))
+            return false;
+        numeric = true;
+    }
+    return numeric;
+}
+// Each state holds from its last_changed until the next one (the last until
+// `end`); averages are weighted by how long each value held. Unavailable
+// stretches leave gaps, and buckets with no value are omitted.
+function downsampleSeries(states, start, end, resolutionMs) {
+    const buckets = new Map();
+    for (let i = 0; i < states.length; i++) {
+        if (NON_NUMERIC_STATES.has(states[i].state))
+            continue;
+        const value = Number(states[i].state);
+        let from = Math.max(Date.parse(states[i].last_changed), start);
+        const until = Math.min(i + 1 < states.length ? Date.parse(states[i + 1].last_changed) : end, end);
+        while (from < until) {
+            const index = Math.floor((from - start) / resolutionMs);
+            const bucketEnd = Math.min(start + (index + 1) * resolutionMs, until);
+            let bucket = buckets.get(index);
+            if (!bucket) {
+                bucket = { min: value, max: value, weighted: 0, duration: 0 };
+                buckets.set(index, bucket);
+            }
+            bucket.min = Math.min(bucket.min, value);
+            bucket.max = Math.max(bucket.max, value);
+            bucket.weighted += value * (bucketEnd - from);
+            bucket.duration += bucketEnd - from;
+            from = bucketEnd;
+        }
+    }
+    return [...buckets].sort((a, b) => a[0] - b[0]).map(([index, b]) => ({
+        t: new Date(start + index * resolutionMs).toISOString(),
+        min: b.min,
+        max: b.max,
+        avg: Math.round(b.weighted / b.duration * 1000) / 1000,
+    }));
+}
+// GET /ha/history - State history for entity_ids over from/to.
+// Numeric entities come back as buckets of `resolution` seconds (or enough
+// to give `points` buckets); everything else as its list of changes.
+app.get("/ha/history", authenticateAgent, async (req, res) => {
+    const range = parseTimeRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    const query = queriedEntities(req, { required: true });
+    if (!query.entityIds) {
+        return res.status(query.status).json(query.body);
+    }
+    try {
+        const { start, end } = range;
+        let resolutionMs;
+        if (req.query.resolution !== undefined) {
+            resolutionMs = Number(req.query.resolution) * 1000;
+            if (!(resolutionMs > 0)) {
+                return res.status(400).json({ error: "resolution must be a positive number of seconds" });
+            }
+            if ((end - start) / resolutionMs > HISTORY_MAX_POINTS) {
+                return res.status(400).json({ error: `resolution gives more than ${HISTORY_MAX_POINTS} points for this range` });
+            }
+        }
+        else {
+            const points = Math.min(Math.max(parseInt(req.query.points) || HISTORY_DEFAULT_POINTS, 1), HISTORY_MAX_POINTS);
+            resolutionMs = Math.ceil((end - start) / points);
+        }
+        const params = new URLSearchParams({
+            filter_entity_id: query.entityIds.join(","),
+            end_time: new Date(end).toISOString(),
+        });
+        const result = await callHA("GET", `/history/period/${encodeURIComponent(new Date(start).toISOString())}?${params}&minimal_response&no_attributes`);
+        if (!result.success) {
+            return res.status(502).json({ error: result.error });
+        }
+        const entities = {};
+        for (const series of result.data || []) {
+            // minimal_response: only the first state of each series carries entity_id
+            const entityId = series[0]?.entity_id;
+            if (!entityId)
+                continue;
+            if (isNumericSeries(series)) {
+                entities[entityId] = {
+                    numeric: true,
+                    unit: haStateCache.get(entityId)?.attributes?.unit_of_measurement ?? null,
+                    samples: series.length,
+                    points: downsampleSeries(series, start, end, resolutionMs),
+                };
+            }
+            else {
+                entities[entityId] = {
+                    numeric: false,
+                    changes: series.map((s) => ({ state: s.state, t: s.last_changed })),
+                };
+            }
+        }
+        res.json({
+            from: new Date(start).toISOString(),
+            to: new Date(end).toISOString(),
+            resolution: resolutionMs / 1000,
+            entities,
+        });
+    }
+    catch (err) {
+        console.error("[Agent/History] Request failed:", err);
+        res.status(502).json({ error: String(err) });
+    }
+});
+// GET /ha/logbook - Logbook entries over from/to, newest first. Without
+// entity_ids the whole home's logbook (unscoped keys only).
+app.get("/ha/logbook", authenticateAgent, async (req, res) => {
+    const range = parseTimeRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    const query = queriedEntities(req, { required: false });
+    if (!query.entityIds) {
+        return res.status(query.status).json(query.body);
+    }
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), LOGBOOK_MAX_LIMIT);
+        const { start, end } = range;
+        const logbookPath = `/logbook/${encodeURIComponent(new Date(start).toISOString())}?end_time=${encodeURIComponent(new Date(end).toISOString())}`;
+        // HA's REST logbook filters on a single entity, so several mean several calls
+        const results = query.entityIds.length
+            ? await mapWithConcurrency(query.entityIds, 4, (entityId) => callHA("GET", `${logbookPath}&entity=${encodeURIComponent(entityId)}`))
+            : [await callHA("GET", logbookPath)];
+        const failed = results.find((r) => !r.success);
+        if (failed) {
+            return res.status(502).json({ error: failed.error });
+        }
+        const entries = results.flatMap((r) => r.data || [])
+            .filter((e) => !e.entity_id || keyAllowsEntity(req.agentKey, e.entity_id))
+            .sort((a, b) => Date.parse(b.when) - Date.parse(a.when));
+        res.json({
+            from: new Date(start).toISOString(),
+            to: new Date(end).toISOString(),
+            total: entries.length,
+            entries: entries.slice(0, limit),
+        });
+    }
+    catch (err) {
+        console.error("[Agent/Logbook] Request failed:", err);
+        res.status(502).json({ error: String(err) });
+    }
+});
+// ==================== Camera Proxy ====================
+// Snapshots and MJPEG streams from HA's camera_proxy. Images are resized and
+// re-encoded here when the optional sharp module is installed. Without it HA
+// does the resizing: snapshots ask camera_proxy for the width, and streams are
+// built from resized snapshots at the viewers' frame rate instead of relaying
+// full-size frames. Viewers of one camera (and, without sharp, one width)
+// share a single upstream.
+const CAMERA_SNAPSHOT_TTL = 2000;
+const CAMERA_SNAPSHOT_CACHE_MAX = 32;
+const CAMERA_DEFAULT_WIDTH = 640;
+const CAMERA_MAX_WIDTH = 1920;
+const CAMERA_DEFAULT_QUALITY = 70;
+const CAMERA_DEFAULT_FPS = 5;
+const CAMERA_MAX_FPS = 15;
+// A viewer with this much unsent data skips frames until it catches up
+const CAMERA_VIEWER_BACKLOG = 512 * 1024;
+const CAMERA_STREAM_BOUNDARY = "homecasaframe";
+let sharpModule;
+function loadSharp() {
+    if (sharpModule === undefined) {
+        try {
+            sharpModule = require("sharp");
+        }
+        catch {
+            sharpModule = null;
+            console.log("[Agent/Camera] sharp is not installed; images are not re-encoded by the agent");
+        }
+    }
+    return sharpModule;
+}
+function cameraImageOptions(query) {
+    const width = Math.min(Math.max(parseInt(query.width) || CAMERA_DEFAULT_WIDTH, 64), CAMERA_MAX_WIDTH);
+    const quality = Math.min(Math.max(parseInt(query.quality) || CAMERA_DEFAULT_QUALITY, 30), 95);
+    return { width, quality };
+}
+function reencodeJpeg(image, { width, quality }) {
+    const sharp = loadSharp();
+    if (!sharp)
+        return Promise.resolve(image);
+    return sharp(image).resize({ width, withoutEnlargement: true }).jpeg({ quality }).toBuffer();
+}
+// Route guard shared by snapshot and stream; returns the entity id or null
+// after sending the error
+function cameraEntityFromRequest(req, res) {
+    // Express has already decoded the path parameter
+    const entityId = req.params.entityId;
+    if (!/^camera\.[a-z0-9_]+$/.test(entityId)) {
+        res.status(400).json({ error: `${entityId} is not a camera entity id` });
+        return null;
+    }
+    if (!keyAllowsEntity(req.agentKey, entityId)) {
+        res.status(403).json({ error: `Entity ${entityId} is not allowed for this key`, code: "key_scope_denied" });
+        return null;
+    }
+    return entityId;
+}
+function fetchCameraProxy(endpoint, signal) {
+    return fetch(`${config.haUrl}/api/${endpoint}`, {
+        headers: { Authorization: `Bearer ${config.haToken}` },
+        signal,
+    });
+}
+// ---- Snapshots ----
+// key -> { promise, fetchedAt }; concurrent requests for the same image share
+// one fetch, and the result is reused for CAMERA_SNAPSHOT_TTL
+const cameraSnapshotCache = new Map();
+async function fetchCameraSnapshot(entityId, options) {
+    const query = loadSharp() ? "" : `?width=${options.width}`;
+    const response = await fetchCameraProxy(`camera_proxy/${encodeURIComponent(entityId)}${query}`);
+    if (!response.ok) {
+        const err = new Error(`HA camera_proxy error ${response.status}`);
+        err.status = response.status;
+        throw err;
+    }
+    const image = Buffer.from(await response.arrayBuffer());
+    if (!loadSharp()) {
+        return { body: image, contentType: response.headers.get("content-type") || "image/jpeg" };
+    }
+    return { body: await reencodeJpeg(image, options), contentType: "image/jpeg" };
+}
+function cachedCameraSnapshot(entityId, options) {
+    const key = `${entityId}|${options.width}|${options.quality}`;
+    const now = Date.now();
+    const cached = cameraSnapshotCache.get(key);
+    if (cached && now - cached.fetchedAt < CAMERA_SNAPSHOT_TTL) {
+        return { image: cached.promise, hit: true };
+    }
+    for (const [k, entry] of cameraSnapshotCache) {
+        if (now - entry.fetchedAt >= CAMERA_SNAPSHOT_TTL || cameraSnapshotCache.size >= CAMERA_SNAPSHOT_CACHE_MAX) {
+            cameraSnapshotCache.delete(k);
+        }
+    }
+    const promise = fetchCameraSnapshot(entityId, options);
+    cameraSnapshotCache.set(key, { promise, fetchedAt: now });
+    promise.catch(() => cameraSnapshotCache.delete(key));
+    return { image: promise, hit: false };
+}
+// GET /ha/camera/:entityId/snapshot - Current image (?width=, ?quality=)
+app.get("/ha/camera/:entityId/snapshot", authenticateAgent, async (req, res) => {
+    const entityId = cameraEntityFromRequest(req, res);
+    if (!entityId)
+        return;
+    try {
+        const { image, hit } = cachedCameraSnapshot(entityId, cameraImageOptions(req.query));
+        const { body, contentType } = await image;
+        res.setHeader("Content-Type", contentType);
+        res.setHeader("Cache-Control", `private, max-age=${CAMERA_SNAPSHOT_TTL / 1000}`);
+        res.setHeader("X-Snapshot-Cache", hit ? "hit" : "miss");
+        res.send(body);
+    }
+    catch (err) {
+        if (err.status === 404) {
+            return res.status(404).json({ error: `Camera ${entityId} not found` });
+        }
+        console.warn(`[Agent/Camera] Snapshot of ${entityId} failed:`, err.message);
+        res.status(502).json({ error: err.message });
+    }
+});
+// ---- MJPEG streams ----
+// key -> { key, entityId, width, controller, viewers: Set<viewer> }; the key is
+// the entity id, plus the width when HA resizes the frames
+// viewer: { res, width, quality, intervalMs, lastSentAt, sending }
+const cameraStreams = new Map();
+// Splits a multipart/x-mixed-replace body into JPEG frames. Parts are
+// delimited by the boundary; Content-Length is used when the camera sends it.
+function createMjpegParser(boundary, onFrame) {
+    const delimiter = Buffer.from(`--${boundary}`);
+    let buffer = Buffer.alloc(0);
+    return (chunk) => {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+        for (;;) {
+            const start = buffer.indexOf(delimiter);
+            if (start < 0)
+                break;
+            const headerEnd = buffer.indexOf("\r\n\r\n", start);
+            if (headerEnd < 0)
+                break;
+            const headers = buffer.subarray(start + delimiter.length, headerEnd).toString("latin1");
+            const bodyStart = headerEnd + 4;
+            const length = Number(/content-length:\s*(\d+)/i.exec(headers)?.[1]);
+            let bodyEnd;
+            if (Number.isFinite(length)) {
+                if (buffer.length < bodyStart + length)
+                    break;
+                bodyEnd = bodyStart + length;
+            }
+            else {
+                const next = buffer.indexOf(delimiter, bodyStart);
+                if (next < 0)
+                    break;
+                bodyEnd = next;
+                // Trim the CRLF that precedes the next delimiter
+                while (bodyEnd > bodyStart && (buffer[bodyEnd - 1] === 0x0a || buffer[bodyEnd - 1] === 0x0d))
+                    bodyEnd--;
+            }
+            if (bodyEnd > bodyStart)
+                onFrame(buffer.subarray(bodyStart, bodyEnd));
+            buffer = buffer.subarray(bodyEnd);
+        }
+        // A camera that never sends a boundary shouldn't grow this forever
+        if (buffer.length > 16 * 1024 * 1024) {
+            buffer = Buffer.alloc(0);
+        }
+    };
+}
+function writeCameraFrame(viewer, frame) {
+    viewer.res.write(`--${CAMERA_STREAM_BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`);
+    viewer.res.write(frame);
+    viewer.res.write("\r\n");
+}
+// Each frame is re-encoded once per (width, quality) among the viewers due one
+function distributeCameraFrame(stream, frame) {
+    const now = Date.now();
+    const encodings = new Map();
+    for (const viewer of stream.viewers) {
+        if (viewer.sending || now - viewer.lastSentAt < viewer.intervalMs || viewer.res.writableLength > CAMERA_VIEWER_BACKLOG)
+            continue;
+        const key = `${viewer.width}|${viewer.quality}`;
+        if (!encodings.has(key)) {
+            encodings.set(key, reencodeJpeg(frame, viewer));
+        }
+        viewer.sending = true;
+        viewer.lastSentAt = now;
+        encodings.get(key).then((image) => {
+            if (!viewer.res.writableEnded)
+                writeCameraFrame(viewer, image);
+        }).catch((err) => {
+            console.warn(`[Agent/Camera] Could not re-encode frame of ${stream.entityId}:`, err.message);
+        }).finally(() => {
+            viewer.sending = false;
+        });
+    }
+}
+function closeCameraStream(stream) {
+    if (cameraStreams.get(stream.key) === stream) {
+        cameraStreams.delete(stream.key);
+    }
+    stream.controller.abort();
+    for (const viewer of stream.viewers) {
+        viewer.res.end();
+    }
+    stream.viewers.clear();
+}
+async function runCameraStream(stream) {
+    const response = await fetchCameraProxy(`camera_proxy_stream/${encodeURIComponent(stream.entityId)}`, stream.controller.signal);
+    if (!response.ok) {
+        throw new Error(`HA camera_proxy_stream error ${response.status}`);
+    }
+    const boundary = /boundary="?([^";]+)"?/i.exec(response.headers.get("content-type") || "")?.[1];
+    if (!boundary) {
+        throw new Error("camera stream is not multipart MJPEG");
+    }
+    console.log(`[Agent/Camera] Upstream stream for ${stream.entityId} opened`);
+    const parse = createMjpegParser(boundary.replace(/^--/, ""), (frame) => distributeCameraFrame(stream, frame));
+    for await (const chunk of response.body) {
+        parse(Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength));
+    }
+}
+// Without sharp: poll HA for snapshots at the width, as fast as the most
+// demanding viewer wants them
+async function pollCameraSnapshots(stream) {
+    const { signal } = stream.controller;
+    console.log(`[Agent/Camera] Polling ${stream.entityId} snapshots at width ${stream.width}`);
+    while (!signal.aborted && stream.viewers.size > 0) {
+        const startedAt = Date.now();
+        const response = await fetchCameraProxy(`camera_proxy/${encodeURIComponent(stream.entityId)}?width=${stream.width}`, signal);
+        if (!response.ok) {
+            throw new Error(`HA camera_proxy error ${response.status}`);
+        }
+        distributeCameraFrame(stream, Buffer.from(await response.arrayBuffer()));
+        const intervalMs = Math.min(...[...stream.viewers].map((v) => v.intervalMs));
+        await new Promise((resolve) => setTimeout(resolve, Math.max(0, intervalMs - (Date.now() - startedAt))));
+    }
+}
+// Starts with its first viewer; the upstream stops once it has none
+function openCameraStream(key, entityId, viewer) {
+    const stream = { key, entityId, width: viewer.width, controller: new AbortController(), viewers: new Set([viewer]) };
+    cameraStreams.set(key, stream);
+    (loadSharp() ? runCameraStream(stream) : pollCameraSnapshots(stream)).catch((err) => {
+        if (!stream.controller.signal.aborted) {
+            console.warn(`[Agent/Camera] Stream for ${entityId} failed:`, err.message);
+        }
+    }).finally(() => {
+        if (!stream.controller.signal.aborted) {
+            console.log(`[Agent/Camera] Upstream stream for ${entityId} ended`);
+        }
+        closeCameraStream(stream);
+    });
+    return stream;
+}
+// GET /ha/camera/:entityId/stream - MJPEG stream (?width=, ?quality=, ?fps=)
+app.get("/ha/camera/:entityId/stream", authenticateAgent, (req, res) => {
+    const entityId = cameraEntityFromRequest(req, res);
+    if (!entityId)
+        return;
+    const fps = Math.min(Math.max(Number(req.query.fps) || CAMERA_DEFAULT_FPS, 0.1), CAMERA_MAX_FPS);
+    const viewer = { res, ...cameraImageOptions(req.query), intervalMs: 1000 / fps, lastSentAt: 0, sending: false };
+    const key = loadSharp() ? entityId : `${entityId}|${viewer.width}`;
+    let stream = cameraStreams.get(key);
+    if (stream) {
+        stream.viewers.add(viewer);
+    }
+    else {
+        stream = openCameraStream(key, entityId, viewer);
+    }
+    res.writeHead(200, {
+        "Content-Type": `multipart/x-mixed-replace; boundary=${CAMERA_STREAM_BOUNDARY}`,
+        "X-Camera-Source": loadSharp() ? "stream" : "snapshots",
+        "Cache-Control": "no-cache, no-store",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no",
+    });
+    req.on("close", () => {
+        stream.viewers.delete(viewer);
+        if (stream.viewers.size === 0) {
+            console.log(`[Agent/Camera] Last viewer of ${entityId} left, closing upstream`);
+            closeCameraStream(stream);
+        }
+    });
+});
+// ==================== PWA Static File Serving ====================
+// Builds are downloaded into pwa.staging, checked against the manifest hashes
+// and only then swapped in; the build they replace moves to pwa.previous so
+// it can be restored with POST /api/pwa/rollback.
+const PWA_DIR = path.resolve(process.cwd(), "pwa");
+const PWA_STAGING_DIR = `${PWA_DIR}.staging`;
+const PWA_PREVIOUS_DIR = `${PWA_DIR}.previous`;
+const PWA_STATE_FILE = path.join(DATA_DIR, "pwa-state.json");
+const PWA_DOWNLOAD_CONCURRENCY = 4;
+const PWA_DOWNLOAD_ATTEMPTS = 2;
+let pwaVersion = "";
+let pwaPreviousVersion = "";
+// The version we rolled back from isn't reinstalled until the cloud moves on
+let pwaHeldVersion = "";
+let pwaSyncInFlight = null;
+function loadPwaState() {
+    try {
+        if (fs.existsSync(PWA_STATE_FILE)) {
+            const data = JSON.parse(fs.readFileSync(PWA_STATE_FILE, "utf-8"));
+            pwaVersion = data.version || "";
+            pwaPreviousVersion = data.previousVersion || "";
+            pwaHeldVersion = data.heldVersion || "";
+            console.log(`[Agent/PWA] Installed version: ${pwaVersion || "none"}`);
+        }
+    }
+    catch (err) {
+        console.error("[Agent/PWA] Error loading state:", err);
+    }
+}
+function savePwaState() {
+    try {
+        if (!fs.existsSync(DATA_DIR)) {
+            fs.mkdirSync(DATA_DIR, { recursive: true });
+        }
+        const tmp = `${PWA_STATE_FILE}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ version: pwaVersion, previousVersion: pwaPreviousVersion, heldVersion: pwaHeldVersion, updatedAt: new Date().toISOString() }, null, 2), "utf-8");
+        fs.renameSync(tmp, PWA_STATE_FILE);
+    }
+    catch (err) {
+        console.error("[Agent/PWA] Error saving state:", err);
+    }
+}
+function sha256Hex(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+// Manifest paths come from the network; keep them inside the build directory
+function pwaFilePath(root, relPath) {
+    const filePath = path.resolve(root, String(relPath));
+    return filePath.startsWith(root + path.sep) ? filePath : null;
+}
+// Run fn over items with at most `limit` in flight
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+// Unchanged files are copied from the live build instead of downloaded again
+async function stagePwaFile(file) {
+    const expected = String(file.sha256 || file.hash || "").toLowerCase();
+    const target = pwaFilePath(PWA_STAGING_DIR, file.path);
+    if (!target) {
+        return `unsafe path ${file.path}`;
+    }
+    if (!/^[0-9a-f]{64}$/.test(expected)) {
+        return `${file.path} has no sha256 in the manifest`;
+    }
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    const live = pwaFilePath(PWA_DIR, file.path);
+    try {
+        if (live && sha256Hex(await fs.promises.readFile(live)) === expected) {
+            await fs.promises.copyFile(live, target);
+            return null;
+        }
+    }
+    catch { }
+    let lastError = "";
+    for (let attempt = 1; attempt <= PWA_DOWNLOAD_ATTEMPTS; attempt++) {
+        try {
+            const fileRes = await fetch(`${config.homecasaCloudUrl}/api/pwa/file/${file.path}`);
+            if (!fileRes.ok) {
+                lastError = `HTTP ${fileRes.status}`;
+                continue;
+            }
+            const buffer = Buffer.from(await fileRes.arrayBuffer());
+            const actual = sha256Hex(buffer);
+            if (actual !== expected) {
+                lastError = `hash mismatch (got ${actual.slice(0, 12)}, expected ${expected.slice(0, 12)})`;
+                continue;
+            }
+            await fs.promises.writeFile(target, buffer);
+            return null;
+        }
+        catch (err) {
+            lastError = String(err);
+        }
+    }
+    return `${file.path}: ${lastError}`;
+}
+// Live -> previous, staging -> live. The renames are synchronous, so no
+// request is served while pwa/ is missing. If the build can't be moved in,
+// the live and previous builds are put back before the error is rethrown.
+function swapInPwaBuild(fromDir) {
+    const oldPrevious = `${PWA_PREVIOUS_DIR}.old`;
+    fs.rmSync(oldPrevious, { recursive: true, force: true });
+    const hadPrevious = fs.existsSync(PWA_PREVIOUS_DIR);
+    const hadLive = fs.existsSync(PWA_DIR);
+    if (hadPrevious) {
+        fs.renameSync(PWA_PREVIOUS_DIR, oldPrevious);
+    }
+    try {
+        if (hadLive) {
+            fs.renameSync(PWA_DIR, PWA_PREVIOUS_DIR);
+        }
+        fs.renameSync(fromDir, PWA_DIR);
+    }
+    catch (err) {
+        if (hadLive && !fs.existsSync(PWA_DIR) && fs.existsSync(PWA_PREVIOUS_DIR)) {
+            fs.renameSync(PWA_PREVIOUS_DIR, PWA_DIR);
+        }
+        if (hadPrevious) {
+            fs.renameSync(oldPrevious, PWA_PREVIOUS_DIR);
+        }
+        throw err;
+    }
+    fs.rmSync(oldPrevious, { recursive: true, force: true });
+}
+async function syncPwaFromCloud() {
+    if (!pwaSyncInFlight) {
+        pwaSyncInFlight = runPwaSync().finally(() => { pwaSyncInFlight = null; });
+    }
+    return pwaSyncInFlight;
+}
+async function runPwaSync() {
+    if (!config.homecasaCloudUrl) {
+        console.log("[Agent/PWA] No cloud URL configured, skipping sync");
+        return false;
+    }
+    try {
+        const versionRes = await fetch(`${config.homecasaCloudUrl}/api/pwa/version`);
+        if (!versionRes.ok) {
+            console.warn("[Agent/PWA] Failed to fetch version:", versionRes.status);
+            return false;
+        }
+        const { version } = await versionRes.json();
+        if (version === pwaVersion && fs.existsSync(path.join(PWA_DIR, "index.html"))) {
+            console.log("[Agent/PWA] Already up to date:", version);
+            return true;
+        }
+        if (version === pwaHeldVersion) {
+            console.log(`[Agent/PWA] Staying on ${pwaVersion || "previous build"}, ${version} was rolled back`);
+            return true;
+        }
+        console.log(`[Agent/PWA] New version available: ${version} (current: ${pwaVersion || "none"})`);
+        const manifestRes = await fetch(`${config.homecasaCloudUrl}/api/pwa/manifest`);
+        if (!manifestRes.ok) {
+            console.warn("[Agent/PWA] Failed to fetch manifest:", manifestRes.status);
+            return false;
+        }
+        const { files } = await manifestRes.json();
+        if (!Array.isArray(files) || !files.some((f) => f?.path === "index.html")) {
+            console.warn("[Agent/PWA] Manifest has no index.html, not installing");
+            return false;
+        }
+        console.log(`[Agent/PWA] Staging ${files.length} files...`);
+        fs.rmSync(PWA_STAGING_DIR, { recursive: true, force: true });
+        fs.mkdirSync(PWA_STAGING_DIR, { recursive: true });
+        const failures = (await mapWithConcurrency(files, PWA_DOWNLOAD_CONCURRENCY, stagePwaFile)).filter(Boolean);
+        if (failures.length > 0) {
+            console.warn(`[Agent/PWA] Not installing ${version}: ${failures.length}/${files.length} files failed (${failures.slice(0, 5).join("; ")})`);
+            fs.rmSync(PWA_STAGING_DIR, { recursive: true, force: true });
+            return false;
+        }
+        swapInPwaBuild(PWA_STAGING_DIR);
+        pwaPreviousVersion = pwaVersion;
+        pwaVersion = version;
+        pwaHeldVersion = "";
+        savePwaState();
+        console.log(`[Agent/PWA] Installed version ${version} (${files.length} files)`);
+        return true;
+    }
+    catch (err) {
+        console.error("[Agent/PWA] Sync error:", err);
+        fs.rmSync(PWA_STAGING_DIR, { recursive: true, force: true });
+        return false;
+    }
+}
+app.get("/pwa/version", (_req, res) => {
+    res.json({
+        version: pwaVersion,
+        hasPwa: fs.existsSync(path.join(PWA_DIR, "index.html")),
+        previousVersion: fs.existsSync(PWA_PREVIOUS_DIR) ? pwaPreviousVersion || null : null,
+    });
+});
+// POST /api/pwa/rollback - Swap the previous build back in (the current one
+// becomes the previous, so this can be undone)
+app.post("/api/pwa/rollback", requireAdminKey, async (_req, res) => {
+    if (pwaSyncInFlight) {
+        await pwaSyncInFlight;
+    }
+    if (!fs.existsSync(path.join(PWA_PREVIOUS_DIR, "index.html"))) {
+        return res.status(404).json({ error: "No previous PWA build is kept", code: "no_previous_version" });
+    }
+    try {
+        fs.rmSync(PWA_STAGING_DIR, { recursive: true, force: true });
+        fs.renameSync(PWA_PREVIOUS_DIR, PWA_STAGING_DIR);
+        try {
+            swapInPwaBuild(PWA_STAGING_DIR);
+        }
+        catch (err) {
+            // The live build is back in place; keep the previous one too
+            fs.renameSync(PWA_STAGING_DIR, PWA_PREVIOUS_DIR);
+            throw err;
+        }
+    }
+    catch (err) {
+        console.error("[Agent/PWA] Rollback error:", err);
+        return res.status(500).json({ error: "Rollback failed" });
+    }
+    [pwaVersion, pwaPreviousVersion] = [pwaPreviousVersion, pwaVersion];
+    pwaHeldVersion = pwaPreviousVersion;
+    savePwaState();
+    console.log(`[Agent/PWA] Rolled back to ${pwaVersion || "previous build"}`);
+    res.json({ success: true, version: pwaVersion, previousVersion: pwaPreviousVersion });
+});
+// Static serving. send (via res.sendFile) provides ETag/Last-Modified and 304s;
+// on top of that, brotli/gzip siblings (app.js.br) are served when the client
+// accepts them, content-hashed assets are cached for a year, and index.html is
+// revalidated on every load. A generated service worker keeps the dashboard
+// usable while the agent restarts.
+const PWA_RESERVED_PREFIXES = ["/ha/", "/api/", "/health", "/tts-cache/", "/pwa/"];
+const PWA_SERVICE_WORKER_PATH = "/homecasa-sw.js";
+const PWA_PRECOMPRESSED = [["br", ".br"], ["gzip", ".gz"]];
+// Vite/webpack style names: index-B2xk3Lq9.js, main.3f2a1c9d.css. Only trusted
+// inside the bundler's output dirs (Vite's assets/, CRA's static/); files at
+// the root come from public/ and keep their names across builds
+// (android-chrome-192x192.png), so they are never immutable.
+const PWA_HASHED_ASSET_DIRS = ["assets", "static"];
+const PWA_HASHED_ASSET = /[.-](?=[A-Za-z0-9_-]*\d)[A-Za-z0-9_-]{8,}\.[A-Za-z0-9]+$/;
+const PWA_IMMUTABLE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+const mime = express_1.default.static.mime;
+let pwaIndexCache = null;
+let pwaServiceWorkerCache = null;
+async function statFile(filePath) {
+    try {
+        const stat = await fs.promises.stat(filePath);
+        return stat.isFile() ? stat : null;
+    }
+    catch {
+        return null;
+    }
+}
+function contentTypeFor(filePath) {
+    const type = mime.lookup(filePath);
+    const charset = mime.charsets.lookup(type);
+    return charset ? `${type}; charset=${charset.toLowerCase()}` : type;
+}
+function isPrecompressedVariant(relPath) {
+    return PWA_PRECOMPRESSED.some(([, ext]) => relPath.endsWith(ext));
+}
+// index.html gets the service worker registration injected (unless the build
+// registers its own), so it is read and tagged here rather than streamed by send
+async function loadPwaIndex(indexPath, stat) {
+    if (pwaIndexCache?.mtimeMs !== stat.mtimeMs || pwaIndexCache?.size !== stat.size) {
+        const html = await fs.promises.readFile(indexPath, "utf-8");
+        const snippet = `<script>if("serviceWorker"in navigator)navigator.serviceWorker.register("${PWA_SERVICE_WORKER_PATH}").catch(function(){});</script>`;
+        let body = html;
+        if (!html.includes("serviceWorker")) {
+            body = html.includes("</head>") ? html.replace("</head>", `${snippet}</head>`) : html + snippet;
+        }
+        pwaIndexCache = { mtimeMs: stat.mtimeMs, size: stat.size, body, etag: `"${sha256Hex(body).slice(0, 32)}"`, lastModified: stat.mtime.toUTCString() };
+    }
+    return pwaIndexCache;
+}
+async function sendPwaIndex(req, res, indexPath, stat) {
+    const index = await loadPwaIndex(indexPath, stat);
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("ETag", index.etag);
+    res.setHeader("Last-Modified", index.lastModified);
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    return res.send(index.body);
+}
+async function listPwaFiles(dir, prefix = "") {
+    const out = [];
+    for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        const rel = prefix + entry.name;
+        if (entry.isDirectory()) {
+            out.push(...await listPwaFiles(path.join(dir, entry.name), `${rel}/`));
+        }
+        else if (entry.isFile() && !isPrecompressedVariant(rel)) {
+            out.push(rel);
+        }
+    }
+    return out;
+}
+// Precaches the installed build; navigations go to the network first and fall
+// back to the cached shell, static files come from the cache first. API paths
+// are never touched. The cache name changes with each build.
+async function buildPwaServiceWorker() {
+    const indexStat = await statFile(path.join(PWA_DIR, "index.html"));
+    const key = `${pwaVersion}:${indexStat?.mtimeMs}`;
+    if (pwaServiceWorkerCache?.key === key) {
+        return pwaServiceWorkerCache;
+    }
+    const files = indexStat ? await listPwaFiles(PWA_DIR) : [];
+    const cacheName = `homecasa-pwa-${sha256Hex(`${key}:${files.join(",")}`).slice(0, 12)}`;
+    const body = `// Generated by the HomeCasa agent for PWA version ${pwaVersion || "unknown"}
+const CACHE = ${JSON.stringify(cacheName)};
+const PRECACHE = ${JSON.stringify(files.map((f) => `/${f}`))};
+const BYPASS = ${JSON.stringify(PWA_RESERVED_PREFIXES)};
+self.addEventListener("install", (event) => {
+    event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+self.addEventListener("activate", (event) => {
+    event.waitUntil(caches.keys()
+        .then((keys) => Promise.all(keys.filter((k) => k.startsWith("homecasa-pwa-") && k !== CACHE).map((k) => caches.delete(k))))
+        .then(() => self.clients.claim()));
+});
+self.addEventListener("fetch", (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== "GET" || url.origin !== self.location.origin || BYPASS.some((p) => url.pathname.startsWith(p)))
+        return;
+    if (event.request.mode === "navigate") {
+        event.respondWith(fetch(event.request).catch(() => caches.match("/index.html")));
+        return;
+    }
+    event.respondWith(caches.match(event.request).then((hit) => hit || fetch(event.request)));
+});
+`;
+    pwaServiceWorkerCache = { key, body, etag: `"${sha256Hex(body).slice(0, 32)}"` };
+    return pwaServiceWorkerCache;
+}
+app.get(PWA_SERVICE_WORKER_PATH, async (req, res, next) => {
+    try {
+        if (!await statFile(path.join(PWA_DIR, "index.html"))) {
+            return next();
+        }
+        const sw = await buildPwaServiceWorker();
+        res.setHeader("Content-Type", "text/javascript; charset=utf-8");
+        res.setHeader("Cache-Control", "no-cache");
+        res.setHeader("Service-Worker-Allowed", "/");
+        res.setHeader("ETag", sw.etag);
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        return res.send(sw.body);
+    }
+    catch (err) {
+        next(err);
+    }
+});
+app.use(async (req, res, next) => {
+    if ((req.method !== "GET" && req.method !== "HEAD") || PWA_RESERVED_PREFIXES.some((p) => req.path.startsWith(p))) {
+        return next();
+    }
+    try {
+        const pwaIndexPath = path.join(PWA_DIR, "index.html");
+        const indexStat = await statFile(pwaIndexPath);
+        if (!indexStat) {
+            return next();
+        }
+        const safePath = path.normalize(path.join(PWA_DIR, req.path === "/" ? "index.html" : req.path));
+        if (safePath !== PWA_DIR && !safePath.startsWith(PWA_DIR + path.sep)) {
+            return res.status(403).send("Forbidden");
+        }
+        const stat = safePath === pwaIndexPath ? indexStat : await statFile(safePath);
+        // Unknown paths are client-side routes
+        if (!stat || safePath === pwaIndexPath) {
+            return sendPwaIndex(req, res, pwaIndexPath, indexStat);
+        }
+        const relPath = path.relative(PWA_DIR, safePath).split(path.sep);
+        const immutable = relPath.length > 1 && PWA_HASHED_ASSET_DIRS.includes(relPath[0]) && PWA_HASHED_ASSET.test(relPath[relPath.length - 1]);
+        const options = immutable ? { maxAge: PWA_IMMUTABLE_MAX_AGE, immutable: true } : { cacheControl: false, headers: { "Cache-Control": "no-cache" } };
+        res.setHeader("Vary", "Accept-Encoding");
+        const accepted = req.acceptsEncodings(PWA_PRECOMPRESSED.map(([encoding]) => encoding));
+        const variant = PWA_PRECOMPRESSED.find(([encoding]) => encoding === accepted);
+        if (variant && await statFile(safePath + variant[1])) {
+            res.setHeader("Content-Type", contentTypeFor(safePath));
+            res.setHeader("Content-Encoding", variant[0]);
+            return res.sendFile(safePath + variant[1], options);
+        }
+        return res.sendFile(safePath, options);
+    }
+    catch (err) {
+        next(err);
+    }
+});
+const SYNC_DIR = DATA_DIR;
+const SYNC_FILE = path.join(SYNC_DIR, "sync-bundle.json");
+const SYNC_STATE_FILE = path.join(SYNC_DIR, "sync-state.json");
+const SYNC_HISTORY_DIR = path.join(SYNC_DIR, "sync-history");
+const SYNC_HISTORY_MAX = 5;
+const SYNC_SIGNATURE_HEADER = "x-homecasa-signature";
+const CONFIG_SYNC_INTERVAL = 30000;
+// While the cloud holds a relay connection it pushes sync_bundle_updated, so
+// polling only needs to catch pushes that were missed.
+const CONFIG_SYNC_RELAY_INTERVAL = 5 * 60 * 1000;
+let lastConfigPollAt = 0;
+let currentSyncVersion = 0;
+let syncedBundle = null;
+let syncHomeId = "";
+// signingKey is the cloud's Ed25519 public key, pinned the first time we pair
+// (or set explicitly with the sync_signing_key option). heldVersion is set by
+// a rollback so the poller doesn't immediately reapply the version we left.
+let syncState = { signingKey: null, signingKeyPinnedAt: null, heldVersion: 0 };
+let refusedSigningKey = null;
+function writeSyncFile(file, text) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, text, "utf-8");
+    fs.renameSync(tmp, file);
+}
+function loadSyncState() {
+    try {
+        if (fs.existsSync(SYNC_STATE_FILE)) {
+            syncState = { ...syncState, ...JSON.parse(fs.readFileSync(SYNC_STATE_FILE, "utf-8")) };
+        }
+    }
+    catch (err) {
+        console.error("[Agent/Sync] Error loading sync state:", err);
+    }
+    if (config.syncSigningKey) {
+        syncState.signingKey = config.syncSigningKey;
+    }
+}
+function saveSyncState() {
+    try {
+        writeSyncFile(SYNC_STATE_FILE, JSON.stringify(syncState, null, 2));
+    }
+    catch (err) {
+        console.error("[Agent/Sync] Error saving sync state:", err);
+    }
+}
+// Accepts PEM, base64 SPKI DER or a bare base64 32-byte Ed25519 key
+function parseSigningKey(value) {
+    const text = String(value).trim();
+    if (text.startsWith("-----BEGIN")) {
+        return crypto.createPublicKey(text);
+    }
+    let der = Buffer.from(text, "base64");
+    if (der.length === 32) {
+        der = Buffer.concat([Buffer.from("302a300506032b6570032100", "hex"), der]);
+    }
+    return crypto.createPublicKey({ key: der, format: "der", type: "spki" });
+}
+// Trust on first use: the key the cloud hands us when we first learn our
+// homeId is kept, and a different key later is refused until re-pairing.
+function pinSyncSigningKey(value) {
+    if (!value || typeof value !== "string")
+        return;
+    if (syncState.signingKey) {
+        if (syncState.signingKey !== value && !config.syncSigningKey && refusedSigningKey !== value) {
+            refusedSigningKey = value;
+            console.warn("[Agent/Sync] Cloud offered a different signing key; keeping the pinned key");
+        }
+        return;
+    }
+    try {
+        parseSigningKey(value);
+    }
+    catch (err) {
+        console.error("[Agent/Sync] Ignoring unusable signing key:", err);
+        return;
+    }
+    syncState.signingKey = value;
+    syncState.signingKeyPinnedAt = new Date().toISOString();
+    saveSyncState();
+    console.log("[Agent/Sync] Pinned bundle signing key");
+}
+function verifyBundleSignature(raw, signature) {
+    if (!syncState.signingKey) {
+        return "No signing key pinned yet";
+    }
+    if (!signature) {
+        return "Bundle is not signed";
+    }
+    try {
+        const ok = crypto.verify(null, Buffer.from(raw, "utf-8"), parseSigningKey(syncState.signingKey), Buffer.from(signature, "base64"));
+        return ok ? null : "Bad bundle signature";
+    }
+    catch (err) {
+        return `Signature check failed: ${err.message}`;
+    }
+}
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+// Structural checks the engine relies on; `at` prefixes the messages
+function validateAutomationShape(automation, at) {
+    const errors = [];
+    if (!Array.isArray(automation.triggerGroups)) {
+        errors.push(`${at}.triggerGroups must be an array`);
+    }
+    else {
+        automation.triggerGroups.forEach((group, gi) => {
+            if (!isPlainObject(group) || !Array.isArray(group.triggers) || !group.triggers.every(isPlainObject)) {
+                errors.push(`${at}.triggerGroups[${gi}].triggers must be an array of objects`);
+            }
+        });
+    }
+    if (automation.actions !== undefined && (!Array.isArray(automation.actions) || !automation.actions.every(isPlainObject))) {
+        errors.push(`${at}.actions must be an array of objects`);
+    }
+    if (automation.conditions !== undefined && !Array.isArray(automation.conditions) && !isPlainObject(automation.conditions)) {
+        errors.push(`${at}.conditions must be an array or object`);
+    }
+    if (automation.mode !== undefined && !["single", "restart", "queued"].includes(automation.mode)) {
+        errors.push(`${at}.mode must be single, restart or queued`);
+    }
+    return errors;
+}
+// Structural checks only: enough that the engine can't trip over a malformed
+// bundle. Returns a list of problems, empty when the bundle is usable.
+function validateSyncBundle(bundle) {
+    const errors = [];
+    if (!isPlainObject(bundle)) {
+        return ["bundle must be an object"];
+    }
+    if (!Number.isInteger(bundle.syncVersion) || bundle.syncVersion < 0) {
+        errors.push("syncVersion must be a non-negative integer");
+    }
+    if (bundle.homeId !== undefined && typeof bundle.homeId !== "string") {
+        errors.push("homeId must be a string");
+    }
+    else if (syncHomeId && bundle.homeId && bundle.homeId !== syncHomeId) {
+        errors.push(`bundle is for home ${bundle.homeId}, not ${syncHomeId}`);
+    }
+    if (bundle.homePreferences !== undefined && !isPlainObject(bundle.homePreferences)) {
+        errors.push("homePreferences must be an object");
+    }
+    else if (bundle.homePreferences?.automationMode !== undefined && !["cloud", "local", "hybrid"].includes(bundle.homePreferences.automationMode)) {
+        errors.push("homePreferences.automationMode must be cloud, local or hybrid");
+    }
+    if (!Array.isArray(bundle.automations)) {
+        errors.push("automations must be an array");
+        return errors;
+    }
+    const ids = new Set();
+    bundle.automations.forEach((automation, i) => {
+        const at = `automations[${i}]`;
+        if (!isPlainObject(automation)) {
+            errors.push(`${at} must be an object`);
+            return;
+        }
+        if (typeof automation.id !== "string" || !automation.id) {
+            errors.push(`${at}.id must be a non-empty string`);
+        }
+        else if (ids.has(automation.id)) {
+            errors.push(`${at}.id ${automation.id} is duplicated`);
+        }
+        else {
+            ids.add(automation.id);
+        }
+        errors.push(...validateAutomationShape(automation, at));
+    });
+    return errors;
+}
+function historyFile(version) {
+    return path.join(SYNC_HISTORY_DIR, `bundle-v${version}.json`);
+}
+// Signed bundles are kept verbatim so a rollback can re-verify them
+function listSyncHistory() {
+    try {
+        if (!fs.existsSync(SYNC_HISTORY_DIR))
+            return [];
+        return fs.readdirSync(SYNC_HISTORY_DIR)
+            .map((name) => name.match(/^bundle-v(\d+)\.json$/))
+            .filter(Boolean)
+            .map((m) => parseInt(m[1]))
+            .sort((a, b) => b - a);
+    }
+    catch (err) {
+        console.error("[Agent/Sync] Error listing bundle history:", err);
+        return [];
+    }
+}
+function readSyncHistory(version) {
+    try {
+        return JSON.parse(fs.readFileSync(historyFile(version), "utf-8"));
+    }
+    catch {
+        return null;
+    }
+}
+// A bundle built from a pushed delta has no signature of its own, so its entry
+// keeps the signed delta instead and is rebuilt from its base when reloaded.
+function recordSyncHistory(bundle, raw, signature, delta) {
+    writeSyncFile(historyFile(bundle.syncVersion), JSON.stringify({
+        syncVersion: bundle.syncVersion,
+        receivedAt: new Date().toISOString(),
+        automationCount: bundle.automations.length,
+        signature,
+        raw,
+        delta,
+    }));
+    for (const version of listSyncHistory().slice(SYNC_HISTORY_MAX)) {
+        if (version === currentSyncVersion)
+            continue;
+        try {
+            fs.unlinkSync(historyFile(version));
+        }
+        catch { }
+    }
+}
+function activateSyncBundle(bundle) {
+    syncedBundle = bundle;
+    currentSyncVersion = bundle.syncVersion;
+    if (bundle.homeId) {
+        syncHomeId = bundle.homeId;
+    }
+    saveSyncBundle(bundle);
+    onSyncedBundleChanged();
+}
+function verifyHistoryEntry(entry) {
+    if (!entry) {
+        return "Stored bundle is unreadable";
+    }
+    if (entry.delta) {
+        return verifyBundleSignature(entry.delta.raw, entry.delta.signature);
+    }
+    return verifyBundleSignature(entry.raw, entry.signature);
+}
+// Rebuilds a kept version from signed data only: the stored bundle itself, or
+// its signed delta replayed onto the (likewise rebuilt) base version. Returns
+// { bundle } or { error }.
+function loadVerifiedHistoryBundle(version) {
+    const entry = readSyncHistory(version);
+    const signatureError = verifyHistoryEntry(entry);
+    if (signatureError) {
+        return { error: signatureError };
+    }
+    let bundle;
+    if (entry.delta) {
+        let delta;
+        try {
+            delta = JSON.parse(entry.delta.raw);
+        }
+        catch {
+            return { error: "Stored delta is not valid JSON" };
+        }
+        const shapeError = syncDeltaShapeError(delta);
+        if (shapeError) {
+            return { error: shapeError };
+        }
+        if (typeof delta.baseVersion !== "number" || delta.baseVersion >= version) {
+            return { error: "Stored delta does not build on an earlier version" };
+        }
+        if (!listSyncHistory().includes(delta.baseVersion)) {
+            return { error: `Base version ${delta.baseVersion} of this delta is no longer kept` };
+        }
+        const base = loadVerifiedHistoryBundle(delta.baseVersion);
+        if (base.error) {
+            return base;
+        }
+        bundle = applySyncDelta(base.bundle, delta);
+    }
+    else {
+        try {
+            bundle = JSON.parse(entry.raw);
+        }
+        catch {
+            return { error: "Stored bundle is not valid JSON" };
+        }
+    }
+    if (bundle?.syncVersion !== version) {
+        return { error: `Stored bundle is not version ${version}` };
+    }
+    return { bundle };
+}
+// Verify, validate, keep and activate a bundle as received from the cloud.
+// Returns null on success or the reason it was refused; the active bundle is
+// left untouched on any failure.
+function acceptSignedBundle(raw, signature) {
+    const signatureError = verifyBundleSignature(raw, signature);
+    if (signatureError) {
+        return signatureError;
+    }
+    let bundle;
+    try {
+        bundle = JSON.parse(raw);
+    }
+    catch {
+        return "Bundle is not valid JSON";
+    }
+    return commitSyncBundle(bundle, raw, signature);
+}
+// A delta lists automations added, changed (replaced whole) and removed by id
+// since baseVersion, which must be the version we are running.
+function acceptSignedDelta(raw, signature) {
+    const signatureError = verifyBundleSignature(raw, signature);
+    if (signatureError) {
+        return signatureError;
+    }
+    let delta;
+    try {
+        delta = JSON.parse(raw);
+    }
+    catch {
+        return "Delta is not valid JSON";
+    }
+    if (!isPlainObject(delta) || !syncedBundle || delta.baseVersion !== currentSyncVersion) {
+        return `Delta does not apply to v${currentSyncVersion}`;
+    }
+    const shapeError = syncDeltaShapeError(delta);
+    if (shapeError) {
+        return shapeError;
+    }
+    return commitSyncBundle(applySyncDelta(syncedBundle, delta), null, null, { raw, signature });
+}
+function syncDeltaShapeError(delta) {
+    if (!isPlainObject(delta)) {
+        return "Delta is not an object";
+    }
+    const { added = [], changed = [], removed = [] } = delta;
+    if (!Array.isArray(added) || !Array.isArray(changed) || !Array.isArray(removed) || !removed.every((id) => typeof id === "string")) {
+        return "Delta added/changed must be arrays of automations and removed an array of ids";
+    }
+    return null;
+}
+function applySyncDelta(base, delta) {
+    const automations = new Map(base.automations.map((a) => [a.id, a]));
+    for (const id of delta.removed || []) {
+        automations.delete(id);
+    }
+    for (const automation of [...(delta.added || []), ...(delta.changed || [])]) {
+        automations.set(automation?.id, automation);
+    }
+    const bundle = {
+        ...base,
+        syncVersion: delta.syncVersion,
+        timestamp: delta.timestamp ?? base.timestamp,
+        automations: [...automations.values()],
+    };
+    if (delta.homePreferences !== undefined) {
+        bundle.homePreferences = delta.homePreferences;
+    }
+    return bundle;
+}
+function commitSyncBundle(bundle, raw, signature, delta) {
+    const errors = validateSyncBundle(bundle);
+    if (errors.length > 0) {
+        return `Invalid bundle: ${errors.join("; ")}`;
+    }
+    if (syncedBundle && bundle.syncVersion <= currentSyncVersion) {
+        return `Bundle v${bundle.syncVersion} is not newer than v${currentSyncVersion}`;
+    }
+    try {
+        recordSyncHistory(bundle, raw, signature, delta);
+    }
+    catch (err) {
+        return `Could not store bundle: ${err.message}`;
+    }
+    activateSyncBundle(bundle);
+    if (syncState.heldVersion && bundle.syncVersion > syncState.heldVersion) {
+        syncState.heldVersion = 0;
+        saveSyncState();
+    }
+    return null;
+}
+function loadSyncBundle() {
+    loadSyncState();
+    try {
+        if (fs.existsSync(SYNC_FILE)) {
+            const data = JSON.parse(fs.readFileSync(SYNC_FILE, "utf-8"));
+            const errors = validateSyncBundle(data);
+            if (errors.length > 0) {
+                throw new Error(errors.join("; "));
+            }
+            syncedBundle = data;
+            currentSyncVersion = data.syncVersion || 0;
+            syncHomeId = data.homeId || "";
+            onSyncedBundleChanged();
+            console.log(`[Agent/Sync] Loaded bundle v${currentSyncVersion} for home ${syncHomeId} (${data.automations?.length || 0} automations)`);
+        }
+    }
+    catch (err) {
+        console.error("[Agent/Sync] Error loading bundle:", err);
+        restoreFromSyncHistory();
+    }
+}
+// The active file is unreadable; fall back to the newest kept version
+function restoreFromSyncHistory() {
+    for (const version of listSyncHistory()) {
+        const { bundle } = loadVerifiedHistoryBundle(version);
+        if (bundle && validateSyncBundle(bundle).length === 0) {
+            activateSyncBundle(bundle);
+            console.warn(`[Agent/Sync] Restored bundle v${version} from history`);
+            return;
+        }
+    }
+}
+// Timers hold references to the old bundle's automations and triggers
+function onSyncedBundleChanged() {
+    cancelAllPendingHolds();
+    stopOutdatedRuns();
+    rescheduleTimeTriggers();
+    syncDeviceTriggerSubscriptions();
+}
+function saveSyncBundle(bundle) {
+    try {
+        writeSyncFile(SYNC_FILE, JSON.stringify(bundle, null, 2));
+    }
+    catch (err) {
+        console.error("[Agent/Sync] Error saving bundle:", err);
+    }
+}
+async function syncConfigFromCloud() {
+    if (!config.homecasaCloudUrl || !config.agentApiKey) {
+        return false;
+    }
+    try {
+        const headers = { "X-Agent-Api-Key": config.agentApiKey };
+        if (!syncHomeId) {
+            console.log("[Agent/Sync] No homeId known yet, skipping version check");
+            return false;
+        }
+        lastConfigPollAt = Date.now();
+        const versionRes = await fetch(`${config.homecasaCloudUrl}/api/sync/${syncHomeId}/version`, { headers });
+        if (!versionRes.ok) {
+            console.warn(`[Agent/Sync] Version check failed: ${versionRes.status}`);
+            return false;
+        }
+        const { syncVersion } = await versionRes.json();
+        if ((syncVersion <= currentSyncVersion && syncedBundle !== null) || syncVersion <= syncState.heldVersion) {
+            return true;
+        }
+        console.log(`[Agent/Sync] New config version: ${syncVersion} (current: ${currentSyncVersion})`);
+        const bundleRes = await fetch(`${config.homecasaCloudUrl}/api/sync/${syncHomeId}/bundle`, { headers });
+        if (!bundleRes.ok) {
+            console.warn(`[Agent/Sync] Bundle fetch failed: ${bundleRes.status}`);
+            return false;
+        }
+        const raw = await bundleRes.text();
+        const rejected = acceptSignedBundle(raw, bundleRes.headers.get(SYNC_SIGNATURE_HEADER));
+        if (rejected) {
+            console.error(`[Agent/Sync] Rejected bundle v${syncVersion}: ${rejected}`);
+            return false;
+        }
+        console.log(`[Agent/Sync] Synced v${currentSyncVersion}: ${syncedBundle.automations.length} automations`);
+        return true;
+    }
+    catch (err) {
+        console.error("[Agent/Sync] Sync error:", err);
+        return false;
+    }
+}
+app.get("/api/sync/status", authenticateAgent, (_req, res) => {
+    res.json({
+        homeId: syncHomeId,
+        syncVersion: currentSyncVersion,
+        automationCount: syncedBundle?.automations?.length || 0,
+        localAutomationsActive: localAutomationsEnabled,
+        lastSync: syncedBundle?.timestamp || null,
+        automationMode: automationMode(),
+        automationOwner: currentAutomationOwner(),
+        ownerSince: automationMode() === "hybrid" ? new Date(ownerSince).toISOString() : null,
+        signingKeyPinned: !!syncState.signingKey,
+        heldVersion: syncState.heldVersion || null,
+        versions: listSyncHistory().map((version) => {
+            const entry = readSyncHistory(version);
+            return { syncVersion: version, receivedAt: entry?.receivedAt || null, automationCount: entry?.automationCount ?? null };
+        }),
+        cloudHealth: {
+            consecutiveHeartbeatFailures: cloudHealth.consecutiveFailures,
+            failoverAfter: config.cloudFailoverHeartbeats,
+            lastHeartbeatOk: cloudHealth.lastOkAt ? new Date(cloudHealth.lastOkAt).toISOString() : null,
+            lastHeartbeatError: cloudHealth.lastError,
+            relayConnected: cloudRelayConnected(),
+        },
+    });
+});
+// POST /api/sync/rollback - Reactivate a kept bundle version (default: the
+// one before the active version). The cloud's newer versions are skipped until
+// it publishes one past the version we rolled back from.
+app.post("/api/sync/rollback", requireAdminKey, (req, res) => {
+    const kept = listSyncHistory();
+    const requested = req.body?.version;
+    const version = requested === undefined ? kept.find((v) => v < currentSyncVersion) : Number(requested);
+    if (version === undefined) {
+        return res.status(404).json({ error: "No earlier bundle version is kept", code: "no_previous_version" });
+    }
+    if (!kept.includes(version)) {
+        return res.status(404).json({ error: `Bundle version ${requested} is not kept`, code: "version_not_found", versions: kept });
+    }
+    const { bundle, error } = loadVerifiedHistoryBundle(version);
+    if (error) {
+        return res.status(409).json({ error, code: "bundle_unverified" });
+    }
+    const errors = validateSyncBundle(bundle);
+    if (errors.length > 0) {
+        return res.status(409).json({ error: "Stored bundle is invalid", code: "bundle_invalid", details: errors });
+    }
+    const previous = currentSyncVersion;
+    syncState.heldVersion = Math.max(syncState.heldVersion || 0, previous);
+    saveSyncState();
+    activateSyncBundle(bundle);
+    console.log(`[Agent/Sync] Rolled back from v${previous} to v${version}`);
+    res.json({ success: true, syncVersion: version, previousVersion: previous, heldVersion: syncState.heldVersion });
+});
+// ==================== LOCAL AUTOMATION ENGINE ====================
+let localAutomationsEnabled = true;
+const automationCooldowns = new Map();
+const entityStates = new Map();
+const BUTTON_CMD_MAP = {
+    button_single: ["single", "toggle", "1", "click", "single_click", "remote_button_short_press", "remote_button_short_release", "button_single", "short_press", "press"],
+    button_double: ["double", "2", "double_click", "remote_button_double_press", "button_double", "double_press"],
+    button_long: ["long", "hold", "long_press", "long_click", "remote_button_long_press", "remote_button_long_release", "button_long", "long_release"],
+    button_triple: ["triple", "3", "triple_click", "remote_button_triple_press", "button_triple", "triple_press"],
+};
+// Sensor triggers are edge-triggered: they fire when their entity moves from
+// not matching to matching. above/below may add a hysteresis band, so after
+// firing the value must fall back past threshold -/+ hysteresis before it can
+// fire again. A "for" hold ({ hours, minutes, seconds } or plain seconds)
+// delays firing until the state has stayed that way for the whole time; the
+// pending timer is cancelled if the state flips back first.
+const thresholdArmed = new WeakMap();
+const pendingHolds = new Map();
+function sensorStateMatches(trigger, state) {
+    if (state === undefined || state === null)
+        return false;
+    switch (trigger.comparator) {
+        case "turns_on":
+        case "opens":
+        case "motion_detected":
+            return state === "on";
+        case "turns_off":
+        case "closes":
+        case "no_motion":
+            return state === "off";
+        case "above": {
+            const val = parseFloat(state);
+            return !isNaN(val) && val > parseFloat(trigger.value || "0");
+        }
+        case "below": {
+            const val = parseFloat(state);
+            return !isNaN(val) && val < parseFloat(trigger.value || "0");
+        }
+        default: return false;
+    }
+}
+// Whether a fired above/below trigger has moved far enough back to fire again
+function thresholdRearmed(trigger, state) {
+    const val = parseFloat(state);
+    if (isNaN(val))
+        return false;
+    const threshold = parseFloat(trigger.value || "0");
+    const band = Math.max(0, parseFloat(trigger.hysteresis || "0") || 0);
+    return trigger.comparator === "above" ? val <= threshold - band : val >= threshold + band;
+}
+// { hours, minutes, seconds } or plain seconds
+function durationToMs(value) {
+    if (!value)
+        return 0;
+    if (typeof value === "number")
+        return value * 1000;
+    return (((Number(value.hours) || 0) * 60 + (Number(value.minutes) || 0)) * 60 + (Number(value.seconds) || 0)) * 1000;
+}
+function isStateTrigger(trigger) {
+    return trigger.type === "sensor" && !trigger.comparator?.startsWith("button_");
+}
+function cancelPendingHold(automationId, trigger) {
+    const holds = pendingHolds.get(automationId);
+    const timer = holds?.get(trigger);
+    if (!timer)
+        return;
+    clearTimeout(timer);
+    holds.delete(trigger);
+    if (holds.size === 0)
+        pendingHolds.delete(automationId);
+}
+function cancelAllPendingHolds() {
+    for (const holds of pendingHolds.values()) {
+        for (const timer of holds.values())
+            clearTimeout(timer);
+    }
+    pendingHolds.clear();
+}
+// Work out which state triggers a state change fires right now, and start or
+// cancel "for" holds. Returns the set of fired trigger objects. A dry run
+// leaves threshold and hold state alone and lists would-be holds in event.holds.
+function observeStateChange(automations, event, dryRun) {
+    const fired = new Set();
+    for (const automation of automations) {
+        for (const group of automation.triggerGroups || []) {
+            for (const trigger of group.triggers || []) {
+                if (!isStateTrigger(trigger) || trigger.sensorEntityId !== event.entityId)
+                    continue;
+                const isThreshold = trigger.comparator === "above" || trigger.comparator === "below";
+                const nowMatches = sensorStateMatches(trigger, event.newState);
+                let edge;
+                if (isThreshold) {
+                    let armed = thresholdArmed.get(trigger);
+                    if (armed === undefined)
+                        armed = !sensorStateMatches(trigger, event.oldState);
+                    edge = armed && nowMatches;
+                    if (edge)
+                        armed = false;
+                    else if (!armed && thresholdRearmed(trigger, event.newState))
+                        armed = true;
+                    if (!dryRun)
+                        thresholdArmed.set(trigger, armed);
+                }
+                else {
+                    edge = nowMatches && !sensorStateMatches(trigger, event.oldState);
+                }
+                if (!nowMatches) {
+                    if (!dryRun)
+                        cancelPendingHold(automation.id, trigger);
+                    continue;
+                }
+                if (!edge)
+                    continue;
+                const holdMs = durationToMs(trigger.for);
+                if (holdMs <= 0) {
+                    fired.add(trigger);
+                    continue;
+                }
+                if (dryRun) {
+                    (event.holds || (event.holds = [])).push({ automationId: automation.id, entity: trigger.sensorEntityId, comparator: trigger.comparator, holdMs });
+                    continue;
+                }
+                cancelPendingHold(automation.id, trigger);
+                const holds = pendingHolds.get(automation.id) || new Map();
+                pendingHolds.set(automation.id, holds);
+                holds.set(trigger, setTimeout(() => {
+                    cancelPendingHold(automation.id, trigger);
+                    processLocalAutomations({ type: "hold", automationId: automation.id, trigger });
+                }, holdMs));
+            }
+        }
+    }
+    return fired;
+}
+// event: { type: "button", data } | { type: "state_changed", entityId, oldState, newState, fired }
+//      | { type: "time", automationId, trigger } | { type: "hold", automationId, trigger }
+// True only when this event fires the trigger. states defaults to the live map;
+// simulations pass their own view.
+function evaluateLocalTrigger(trigger, event, states = entityStates) {
+    if (trigger.type === "sensor" && trigger.comparator?.startsWith("button_")) {
+        const button = event?.type === "button" ? event.data : null;
+        if (!button)
+            return false;
+        if (trigger.deviceTrigger)
+            return button.deviceTriggerKey === deviceTriggerKey(trigger.deviceTrigger);
+        if (!buttonEventIds(button).includes(trigger.sensorEntityId))
+            return false;
+        // Optional: only one button of a multi-button remote
+        if (trigger.button !== undefined && String(trigger.button) !== String(button.button))
+            return false;
+        return button.press === trigger.comparator.slice("button_".length);
+    }
+    if (trigger.type === "sensor") {
+        if (event?.type === "hold")
+            return event.trigger === trigger && sensorStateMatches(trigger, states.get(trigger.sensorEntityId));
+        return event?.type === "state_changed" && !!event.fired?.has(trigger);
+    }
+    if (trigger.type === "time" || trigger.type === "sun") {
+        // Only the scheduler fires time and sun triggers, once per occurrence
+        return event?.type === "time" && event.trigger === trigger;
+    }
+    return false;
+}
+// Groups combine with AND, triggers within a group with OR. The event must fire
+// at least one trigger; in multi-group automations, state triggers on other
+// entities count as satisfied while their entity is currently in that state.
+// When detail is given, every trigger is evaluated and described into it.
+function evaluateLocalTriggerGroups(triggerGroups, event, detail, states = entityStates) {
+    let fired = false;
+    let allSatisfied = true;
     for (const group of triggerGroups) {
         const triggers = group.triggers || [];
-        const anyMatch = triggers.some((t) => evaluateLocalTrigger(t, zhaEvent));
-        if (!anyMatch)
+        const results = detail ? triggers.map((t) => evaluateLocalTrigger(t, event, states)) : null;
+        let satisfied = results ? results.includes(true) : triggers.some((t) => evaluateLocalTrigger(t, event, states));
+        if (satisfied) {
+            fired = true;
+        }
+        else if (triggerGroups.length > 1) {
+            satisfied = triggers.some((t) => isStateTrigger(t) && sensorStateMatches(t, states.get(t.sensorEntityId)));
+        }
+        if (detail) {
+            detail.push({ satisfied, triggers: triggers.map((t, i) => describeTrigger(t, results[i], event, states)) });
+        }
+        if (!satisfied) {
+            allSatisfied = false;
+            if (!detail)
+                return false;
+        }
+    }
+    return fired && allSatisfied;
+}
+// Whether the event is about this trigger's entity/device, fired or not
+function triggerConcernsEvent(trigger, event) {
+    if (!event)
+        return false;
+    if (event.type === "time" || event.type === "hold")
+        return event.trigger === trigger;
+    if (event.type === "state_changed")
+        return isStateTrigger(trigger) && trigger.sensorEntityId === event.entityId;
+    if (event.type === "button")
+        return trigger.type === "sensor" && (trigger.deviceTrigger ? event.data.deviceTriggerKey === deviceTriggerKey(trigger.deviceTrigger) : buttonEventIds(event.data).includes(trigger.sensorEntityId));
+    return false;
+}
+function describeTrigger(trigger, fired, event, states) {
+    const info = { type: trigger.type, fired, concerned: triggerConcernsEvent(trigger, event) };
+    if (trigger.type === "sensor") {
+        info.comparator = trigger.comparator;
+        info.entity = trigger.sensorEntityId;
+        if (isStateTrigger(trigger)) {
+            info.state = states.get(trigger.sensorEntityId) ?? null;
+            if (trigger.value !== undefined)
+                info.value = trigger.value;
+        }
+    }
+    else if (trigger.type === "time") {
+        info.at = `${String(trigger.hour || "0").padStart(2, "0")}:${String(trigger.minute || "0").padStart(2, "0")}`;
+    }
+    else if (trigger.type === "sun") {
+        info.event = trigger.event;
+        info.offsetMinutes = trigger.offsetMinutes || 0;
+    }
+    return info;
+}
+// Conditions are checked after a trigger fires, against the live entity states.
+// A list means all of them must hold. Types:
+//   { type: "state", entityId, state?, notState? }        (string or list of states)
+//   { type: "numeric", entityId, above?, below? }
+//   { type: "time", after?, before? }    "HH:MM" or a sun event with offset, e.g. "sunset-00:30";
+//                                        after > before wraps past midnight
+//   { type: "weekday", days: [0-6] }     0 = Sunday, like trigger days
+//   { type: "and" | "or" | "not", conditions: [...] }
+const WEEKDAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+// Minutes after local midnight for "HH:MM[:SS]" or "<sun event>[+-HH:MM]", or null
+function conditionTimeOfDay(spec, now, tz) {
+    const str = String(spec).trim().toLowerCase();
+    const clock = str.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (clock) {
+        return parseInt(clock[1]) * 60 + parseInt(clock[2]) + (clock[3] ? parseInt(clock[3]) / 60 : 0);
+    }
+    const sun = str.match(/^(sunrise|sunset|dawn|dusk)(?:\s*([+-])\s*(\d{1,2}):(\d{2}))?$/);
+    if (!sun || !hasHomeLocation())
+        return null;
+    const today = zonedDatePlusDays(now, 0, tz);
+    const at = sunEventTime(sun[1], today.year, today.month, today.day, haHomeConfig.latitude, haHomeConfig.longitude, haHomeConfig.elevation);
+    if (at === null)
+        return null;
+    const offset = sun[2] ? (sun[2] === "-" ? -1 : 1) * (parseInt(sun[3]) * 60 + parseInt(sun[4])) : 0;
+    const p = zonedParts(at, tz);
+    return p.hour * 60 + p.minute + p.second / 60 + offset;
+}
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+function evaluateCondition(condition, now, states = entityStates) {
+    if (Array.isArray(condition)) {
+        return condition.every((c) => evaluateCondition(c, now, states));
+    }
+    if (!condition || typeof condition !== "object") {
+        return false;
+    }
+    switch (condition.type) {
+        case "and":
+            return (condition.conditions || []).every((c) => evaluateCondition(c, now, states));
+        case "or":
+            return (condition.conditions || []).some((c) => evaluateCondition(c, now, states));
+        case "not":
+            return !(condition.conditions || []).some((c) => evaluateCondition(c, now, states));
+        case "state": {
+            const state = states.get(condition.entityId);
+            if (condition.state !== undefined && !toList(condition.state).map(String).includes(state))
+                return false;
+            if (condition.notState !== undefined && toList(condition.notState).map(String).includes(state))
+                return false;
+            return state !== undefined;
+        }
+        case "numeric": {
+            const val = parseFloat(states.get(condition.entityId));
+            if (isNaN(val))
+                return false;
+            if (condition.above !== undefined && !(val > parseFloat(condition.above)))
+                return false;
+            if (condition.below !== undefined && !(val < parseFloat(condition.below)))
+                return false;
+            return true;
+        }
+        case "time": {
+            const tz = homeTimeZone();
+            const p = zonedParts(now, tz);
+            const current = p.hour * 60 + p.minute + p.second / 60;
+            const after = condition.after !== undefined ? conditionTimeOfDay(condition.after, now, tz) : 0;
+            const before = condition.before !== undefined ? conditionTimeOfDay(condition.before, now, tz) : 24 * 60;
+            if (after === null || before === null)
+                return false;
+            return after <= before ? current >= after && current < before : current >= after || current < before;
+        }
+        case "weekday": {
+            const weekday = zonedParts(now, homeTimeZone()).weekday;
+            return toList(condition.days || []).some((d) => d === weekday || String(d).toLowerCase().slice(0, 3) === WEEKDAY_NAMES[weekday]);
+        }
+        default:
+            console.warn(`[Agent/Auto] Unknown condition type: ${condition.type}`);
+            return false;
+    }
+}
+function automationAuditSource(automation) {
+    return { type: "automation", automationId: automation?.id, automationName: automation?.name };
+}
+// Action sequences run as "runs" so a long sequence can be cancelled (restart
+// mode) and doesn't block other automations. Automation mode:
+//   single (default) - ignore the trigger while a run is in progress
+//   restart          - cancel the running sequence and start again
+//   queued           - run after the current one (up to maxQueued, default 10)
+const automationRuns = new Map();
+const stateWaiters = new Set();
+const DEFAULT_MAX_QUEUED_RUNS = 10;
+// wait_for_state without a timeout (or a longer one) gives up after this
+const MAX_WAIT_FOR_STATE_MS = 24 * 60 * 60 * 1000;
+function startAutomationRun(automation, event, trace) {
+    const mode = automation.mode || "single";
+    let slot = automationRuns.get(automation.id);
+    if (!slot) {
+        slot = { current: null, queue: [] };
+        automationRuns.set(automation.id, slot);
+    }
+    if (slot.current) {
+        if (mode === "restart") {
+            console.log(`[Agent/Auto] Restarting "${automation.name}"`);
+            cancelRun(slot.current, "restarted");
+        }
+        else if (mode === "queued") {
+            if (slot.queue.length >= (automation.maxQueued ?? DEFAULT_MAX_QUEUED_RUNS)) {
+                console.warn(`[Agent/Auto] Queue full for "${automation.name}", dropping run`);
+                finishTrace(trace, "queue_full");
+                return false;
+            }
+            slot.queue.push({ event, trace });
+            if (trace)
+                trace.result = "queued";
+            return true;
+        }
+        else {
+            console.log(`[Agent/Auto] "${automation.name}" is already running, skipping (mode: single)`);
+            finishTrace(trace, "skipped_running");
             return false;
+        }
     }
+    const run = { automation, event, trace, states: entityStates, startedAt: Date.now(), cancelled: false, stopReason: null, wakers: new Set() };
+    slot.current = run;
+    if (trace)
+        trace.result = "running";
+    runActionSequence(automation.actions, run)
+        .then(() => finishTrace(trace, run.stopReason ? "stopped" : "completed", run.stopReason ? { stopReason: run.stopReason } : undefined))
+        .catch((err) => {
+        console.error(`[Agent/Auto] Run of "${automation.name}" failed:`, err);
+        finishTrace(trace, "error", { error: String(err) });
+    })
+        .finally(() => {
+        if (slot.current !== run)
+            return;
+        slot.current = null;
+        if (slot.queue.length > 0) {
+            const next = slot.queue.shift();
+            startAutomationRun(automation, next.event, next.trace);
+        }
+        else {
+            automationRuns.delete(automation.id);
+        }
+    });
     return true;
 }
-async function executeLocalAction(action) {
+function cancelRun(run, reason) {
+    run.cancelled = true;
+    run.stopReason = reason;
+    for (const wake of [...run.wakers])
+        wake();
+}
+// Resolves after ms, or early when the run is cancelled
+function sleepForRun(run, ms) {
+    if (run.dryRun)
+        return Promise.resolve();
+    return new Promise((resolve) => {
+        const done = () => {
+            clearTimeout(timer);
+            run.wakers.delete(done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        run.wakers.add(done);
+    });
+}
+// Resolves true once entityId is in one of states, false on timeout/cancel
+function waitForState(run, entityId, states, timeoutMs) {
+    if (states.includes(run.states.get(entityId)))
+        return Promise.resolve(true);
+    // Simulations assume the wait succeeds so the rest of the sequence is shown
+    if (run.dryRun)
+        return Promise.resolve(true);
+    return new Promise((resolve) => {
+        const waiter = { entityId, states, done: null };
+        let timer = null;
+        waiter.done = (reached) => {
+            if (timer)
+                clearTimeout(timer);
+            stateWaiters.delete(waiter);
+            run.wakers.delete(waiter.done);
+            resolve(reached === true);
+        };
+        if (timeoutMs > 0)
+            timer = setTimeout(waiter.done, timeoutMs);
+        stateWaiters.add(waiter);
+        run.wakers.add(waiter.done);
+    });
+}
+// Runs and queued runs keep the automation they were started from; when the
+// bundle changes or removes it, stop them rather than finish the old version.
+function stopOutdatedRuns() {
+    const current = new Map((syncedBundle?.automations || []).map((a) => [a.id, JSON.stringify(a)]));
+    for (const [id, slot] of automationRuns) {
+        const automation = slot.current?.automation;
+        if (!automation || current.get(id) === JSON.stringify(automation))
+            continue;
+        for (const queued of slot.queue.splice(0))
+            finishTrace(queued.trace, "bundle_changed");
+        console.log(`[Agent/Auto] "${automation.name}" changed or was removed, stopping its run`);
+        cancelRun(slot.current, "bundle_changed");
+    }
+}
+function notifyStateWaiters(entityId, newState) {
+    for (const waiter of [...stateWaiters]) {
+        if (waiter.entityId === entityId && waiter.states.includes(newState))
+            waiter.done(true);
+    }
+}
+async function runActionSequence(actions, run) {
+    for (const action of actions || []) {
+        if (run.cancelled)
+            return;
+        await executeLocalAction(action, run);
+    }
+}
+async function callLocalService(domain, service, serviceData, run, step) {
+    const entityIds = toEntityIdList(serviceData.entity_id);
+    const target = entityIds.join(", ") || "(no entity)";
+    Object.assign(step, { domain, service, entityIds });
+    if (run.dryRun) {
+        run.serviceCalls.push({ domain, service, data: serviceData });
+        return;
+    }
+    try {
+        const res = await fetch(`${config.haUrl}/api/services/${domain}/${service}`, {
+            method: "POST",
+            headers: {
+                "Authorization": `Bearer ${config.haToken}`,
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify(serviceData),
+        });
+        console.log(`[Agent/Auto] Executed ${domain}.${service} on ${target}: ${res.status}`);
+        step.status = res.status;
+        recordAudit({ source: automationAuditSource(run.automation), domain, service, entityIds, result: { success: res.ok, status: res.status } });
+    }
+    catch (err) {
+        console.error(`[Agent/Auto] Failed to execute ${domain}.${service} on ${target}:`, err);
+        step.error = String(err);
+        recordAudit({ source: automationAuditSource(run.automation), domain, service, entityIds, result: { success: false, error: String(err) } });
+    }
+}
+// Action types: device, scene, service { domain, service, entityId?, data? },
+// delay { hours?, minutes?, seconds? }, wait_for_state { entityId, state,
+// timeout? (at most and by default 24h), continueOnTimeout? },
+// if { conditions, then, else? },
+// parallel { actions } (each entry an action or a list of actions)
+async function executeLocalAction(action, run) {
+    const step = { type: action.type, startedAtMs: Date.now() - run.startedAt };
+    run.trace?.actions.push(step);
+    try {
+        await executeLocalActionStep(action, run, step);
+    }
+    catch (err) {
+        step.error = String(err);
+        throw err;
+    }
+    finally {
+        step.durationMs = Date.now() - run.startedAt - step.startedAtMs;
+    }
+}
+async function executeLocalActionStep(action, run, step) {
     if (action.type === "device") {
         const entityId = action.entityId;
         if (!entityId)
@@ -644,189 +3044,996 @@ async function executeLocalAction(action) {
             serviceData.brightness = Math.round(action.brightness * 2.55);
         if (action.temperature !== undefined)
             serviceData.temperature = action.temperature;
-        try {
-            const res = await fetch(`${config.haUrl}/api/services/${domain}/${service}`, {
-                method: "POST",
-                headers: {
-                    "Authorization": `Bearer ${config.haToken}`,
-                    "Content-Type": "application/json",
-                },
-                body: JSON.stringify(serviceData),
-            });
-            console.log(`[Agent/Auto] Executed ${domain}.${service} on ${entityId}: ${res.status}`);
-        }
-        catch (err) {
-            console.error(`[Agent/Auto] Failed to execute ${domain}.${service} on ${entityId}:`, err);
-        }
+        await callLocalService(domain, service, serviceData, run, step);
     }
     else if (action.type === "scene") {
         if (action.resolvedSceneActions && action.resolvedSceneActions.length > 0) {
             console.log(`[Agent/Auto] Executing scene "${action.sceneName}" with ${action.resolvedSceneActions.length} resolved actions`);
             for (const sa of action.resolvedSceneActions) {
-                await executeLocalAction({ type: "device", entityId: sa.entityId, action: sa.action, temperature: sa.value });
+                await executeLocalAction({ type: "device", entityId: sa.entityId, action: sa.action, temperature: sa.value }, run);
             }
         }
         else {
             const sceneEntityId = action.sceneEntityId || action.entityId;
             if (!sceneEntityId)
                 return;
-            try {
-                const res = await fetch(`${config.haUrl}/api/services/scene/turn_on`, {
-                    method: "POST",
-                    headers: {
-                        "Authorization": `Bearer ${config.haToken}`,
-                        "Content-Type": "application/json",
-                    },
-                    body: JSON.stringify({ entity_id: sceneEntityId }),
-                });
-                console.log(`[Agent/Auto] Activated scene ${sceneEntityId}: ${res.status}`);
-            }
-            catch (err) {
-                console.error(`[Agent/Auto] Failed to activate scene ${sceneEntityId}:`, err);
-            }
+            await callLocalService("scene", "turn_on", { entity_id: sceneEntityId }, run, step);
+        }
+    }
+    else if (action.type === "service") {
+        if (!action.domain || !action.service) {
+            console.warn(`[Agent/Auto] Service action in "${run.automation.name}" is missing domain/service`);
+            return;
+        }
+        const serviceData = { ...(action.data || {}) };
+        if (action.entityId)
+            serviceData.entity_id = action.entityId;
+        await callLocalService(action.domain, action.service, serviceData, run, step);
+    }
+    else if (action.type === "delay") {
+        const ms = durationToMs(action);
+        step.delayMs = ms;
+        if (ms > 0)
+            await sleepForRun(run, ms);
+    }
+    else if (action.type === "wait_for_state") {
+        const states = toList(action.state).map(String);
+        const timeoutMs = durationToMs(action.timeout);
+        const reached = await waitForState(run, action.entityId, states, timeoutMs > 0 ? Math.min(timeoutMs, MAX_WAIT_FOR_STATE_MS) : MAX_WAIT_FOR_STATE_MS);
+        Object.assign(step, { entityId: action.entityId, reached });
+        if (!reached && !run.cancelled && !action.continueOnTimeout) {
+            console.log(`[Agent/Auto] "${run.automation.name}" timed out waiting for ${action.entityId}, stopping`);
+            cancelRun(run, "wait_timeout");
+        }
+    }
+    else if (action.type === "if") {
+        const passed = evaluateCondition(action.conditions || [], run.dryRun ? run.now : Date.now(), run.states);
+        step.branch = passed ? "then" : "else";
+        const branch = passed ? action.then : action.else;
+        await runActionSequence(branch, run);
+    }
+    else if (action.type === "parallel") {
+        await Promise.all((action.actions || []).map((a) => runActionSequence(Array.isArray(a) ? a : [a], run)));
+    }
+    else {
+        console.warn(`[Agent/Auto] Unknown action type "${action.type}" in "${run.automation.name}"`);
+    }
+}
+// ==================== Automation Traces ====================
+// Every evaluation where a trigger fired, or the event was about one of the
+// automation's triggers, leaves a trace: the event, per-group/per-trigger
+// results, cooldown and condition outcome, and each action with its HA status
+// and timing. The last AUTOMATION_TRACE_MAX per automation are kept in memory.
+// Events that concerned a trigger without firing it ("no_match") go to a
+// separate, smaller ring, so a chatty sensor can't push out the runs.
+const AUTOMATION_TRACE_MAX = 10;
+const AUTOMATION_NO_MATCH_TRACE_MAX = 5;
+const automationTraces = new Map();
+const automationNoMatchTraces = new Map();
+function summarizeEvent(event) {
+    if (!event)
+        return null;
+    switch (event.type) {
+        case "state_changed":
+            return { type: event.type, entityId: event.entityId, oldState: event.oldState ?? null, newState: event.newState };
+        case "button":
+            return { type: event.type, source: event.data.source, command: event.data.command, press: event.data.press, button: event.data.button, ids: buttonEventIds(event.data), endpoint_id: event.data.endpoint_id };
+        case "time":
+            return { type: event.type, scheduledAt: new Date(event.scheduledAt).toISOString(), catchUp: !!event.catchUp };
+        case "hold":
+            return { type: event.type, entity: event.trigger.sensorEntityId, comparator: event.trigger.comparator };
+        default:
+            return { type: event.type };
+    }
+}
+function newTrace(automation, event, triggerGroups) {
+    return {
+        id: crypto.randomUUID(),
+        automationId: automation.id,
+        automationName: automation.name,
+        startedAt: new Date().toISOString(),
+        event: summarizeEvent(event),
+        triggerGroups,
+        result: "evaluating",
+        actions: [],
+    };
+}
+function keepTrace(ring, max, trace) {
+    const traces = ring.get(trace.automationId) || [];
+    traces.unshift(trace);
+    if (traces.length > max)
+        traces.length = max;
+    ring.set(trace.automationId, traces);
+    return trace;
+}
+function createTrace(automation, event, triggerGroups) {
+    return keepTrace(automationTraces, AUTOMATION_TRACE_MAX, newTrace(automation, event, triggerGroups));
+}
+function recordNoMatchTrace(automation, event, triggerGroups) {
+    const trace = keepTrace(automationNoMatchTraces, AUTOMATION_NO_MATCH_TRACE_MAX, newTrace(automation, event, triggerGroups));
+    finishTrace(trace, "no_match");
+}
+function finishTrace(trace, result, extra) {
+    if (!trace)
+        return;
+    Object.assign(trace, extra || {}, { result, finishedAt: new Date().toISOString() });
+}
+// GET /api/automations/:id/traces - Recent traces for one automation, newest first
+app.get("/api/automations/:id/traces", authenticateAgent, (req, res) => {
+    // Traces show the states and calls of any entity the automation touches
+    if (keyHasScopes(req.agentKey)) {
+        return res.status(403).json({ error: "Automation traces need an unscoped key", code: "key_scope_denied" });
+    }
+    const automation = syncedBundle?.automations?.find((a) => a.id === req.params.id);
+    const traces = [...(automationTraces.get(req.params.id) || []), ...(automationNoMatchTraces.get(req.params.id) || [])]
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    if (!automation && traces.length === 0) {
+        return res.status(404).json({ error: "Automation not found" });
+    }
+    res.json({ automationId: req.params.id, name: automation?.name, traces });
+});
+// POST /api/automations/simulate - Dry-run an automation against a simulated event
+// Body: { automation | automationId, event, states? }
+//   event: { type: "state_changed", entityId, newState, oldState? }
+//        | { type: "button", source?, command, press?, button?, device_ieee?, unique_id?, device_id?, entity_id? }
+//        | { type: "zha_event", device_ieee?, unique_id?, command, ... }   (raw ZHA payload)
+//        | { type: "time", at }
+//   states: { "<entity_id>": "<state>" } overrides on top of the live states
+// Uses the live evaluation and action code, but nothing is sent to HA and no
+// cooldown, threshold or hold state is changed.
+app.post("/api/automations/simulate", authenticateAgent, async (req, res) => {
+    // Simulations read live states and synced automations, like traces
+    if (keyHasScopes(req.agentKey)) {
+        return res.status(403).json({ error: "Automation simulation needs an unscoped key", code: "key_scope_denied" });
+    }
+    const body = req.body || {};
+    const automation = body.automation || syncedBundle?.automations?.find((a) => a.id === body.automationId);
+    if (!automation) {
+        return res.status(body.automation ? 400 : 404).json({ error: body.automationId ? "Automation not found" : "automation or automationId is required" });
+    }
+    const errors = isPlainObject(automation) ? validateAutomationShape(automation, "automation") : ["automation must be an object"];
+    if (errors.length) {
+        return res.status(400).json({ error: errors.join("; "), errors });
+    }
+    try {
+        await simulateAutomation(automation, body, res);
+    }
+    catch (err) {
+        console.error("[Agent/Automation] Simulation failed:", err);
+        res.status(500).json({ error: String(err) });
+    }
+});
+async function simulateAutomation(automation, body, res) {
+    const input = body.event || {};
+    const states = new Map(entityStates);
+    for (const [entityId, state] of Object.entries(body.states || {})) {
+        states.set(entityId, String(state));
+    }
+    let event;
+    let now = Date.now();
+    if (input.type === "state_changed") {
+        if (!input.entityId || input.newState === undefined) {
+            return res.status(400).json({ error: "state_changed events need entityId and newState" });
+        }
+        const oldState = input.oldState !== undefined ? String(input.oldState) : states.get(input.entityId);
+        event = { type: "state_changed", entityId: input.entityId, oldState, newState: String(input.newState) };
+        states.set(input.entityId, event.newState);
+        event.fired = observeStateChange([automation], event, true);
+    }
+    else if (input.type === "zha_event") {
+        const { type, ...data } = input;
+        event = { type: "button", data: normalizeZhaEvent(data) };
+    }
+    else if (input.type === "button") {
+        const { type, source, ...data } = input;
+        event = { type: "button", data: buttonEvent(source || "zha", { ...data, press: data.press ?? classifyPress(data.command), button: data.button ?? buttonOf(data.command) }, data) };
+    }
+    else if (input.type === "time") {
+        now = parseTimeParam(input.at);
+        if (now === null || Number.isNaN(now)) {
+            return res.status(400).json({ error: "time events need at (ISO date or ms timestamp)" });
+        }
+        // The trigger whose occurrence falls within the minute of "at"
+        const scheduled = automation.triggerGroups.flatMap((g) => g.triggers || [])
+            .filter((t) => t.type === "time" || t.type === "sun")
+            .map((t) => ({ trigger: t, at: triggerOccurrence(t, now - 30000, 1) }))
+            .find((o) => o.at !== null && o.at <= now + 30000);
+        event = { type: "time", automationId: automation.id, trigger: scheduled?.trigger || null, scheduledAt: scheduled?.at ?? now };
+    }
+    else {
+        return res.status(400).json({ error: 'event.type must be "state_changed", "button", "zha_event" or "time"' });
+    }
+    const groupResults = [];
+    const triggered = evaluateLocalTriggerGroups(automation.triggerGroups, event, groupResults, states);
+    const trace = newTrace(automation, event, groupResults);
+    const cooldownMs = (automation.cooldownMinutes != null && automation.cooldownMinutes > 0 ? automation.cooldownMinutes : 0.05) * 60 * 1000;
+    const sinceLastFired = now - (automationCooldowns.get(automation.id) || 0);
+    const cooldown = { blocked: sinceLastFired < cooldownMs, remainingMs: Math.max(0, cooldownMs - sinceLastFired) };
+    const conditionsMet = automation.conditions ? evaluateCondition(automation.conditions, now, states) : null;
+    const running = !!automationRuns.get(automation.id)?.current;
+    const wouldRun = triggered && !cooldown.blocked && conditionsMet !== false && !(running && (automation.mode || "single") === "single");
+    const run = { automation, event, trace, states, now, startedAt: Date.now(), cancelled: false, stopReason: null, wakers: new Set(), dryRun: true, serviceCalls: [] };
+    if (triggered && conditionsMet !== false) {
+        try {
+            await runActionSequence(automation.actions, run);
+        }
+        catch (err) {
+            trace.error = String(err);
+        }
+    }
+    res.json({
+        automationId: automation.id,
+        event: trace.event,
+        triggered,
+        triggerGroups: groupResults,
+        pendingHolds: event.holds || [],
+        cooldown,
+        conditionsMet,
+        mode: automation.mode || "single",
+        currentlyRunning: running,
+        wouldRun,
+        stopReason: run.stopReason,
+        actions: trace.actions,
+        serviceCalls: run.serviceCalls,
+    });
+}
+// Called from HA event handlers and timers that don't wait on it, so a failure
+// is logged here rather than left as an unhandled rejection.
+function processLocalAutomations(event) {
+    evaluateLocalAutomations(event).catch((err) => {
+        console.error(`[Agent/Auto] Processing ${event?.type || "unknown"} event failed:`, err);
+    });
+}
+async function evaluateLocalAutomations(event) {
+    if (!syncedBundle?.automations)
+        return;
+    // Threshold and hold state tracks every change, whoever runs automations,
+    // so a trigger armed before a handback doesn't fire again after failover
+    if (event?.type === "state_changed") {
+        event.fired = observeStateChange(syncedBundle.automations.filter((a) => a.enabled), event);
+    }
+    if (!localAutomationsEnabled || currentAutomationOwner() !== "local")
+        return;
+    const now = Date.now();
+    for (const automation of syncedBundle.automations) {
+        if (!automation.enabled)
+            continue;
+        // Scheduled and held triggers belong to a single automation
+        if (event?.automationId && event.automationId !== automation.id)
+            continue;
+        const groupResults = [];
+        const triggered = evaluateLocalTriggerGroups(automation.triggerGroups, event, groupResults);
+        const relevant = groupResults.some((g) => g.triggers.some((t) => t.fired || t.concerned));
+        if (!triggered) {
+            if (relevant)
+                recordNoMatchTrace(automation, event, groupResults);
+            continue;
+        }
+        const trace = relevant ? createTrace(automation, event, groupResults) : null;
+        const cooldownMs = (automation.cooldownMinutes != null && automation.cooldownMinutes > 0 ? automation.cooldownMinutes : 0.05) * 60 * 1000;
+        const lastFired = automationCooldowns.get(automation.id) || 0;
+        if (now - lastFired < cooldownMs) {
+            finishTrace(trace, "cooldown", { cooldownRemainingMs: cooldownMs - (now - lastFired) });
+            continue;
         }
+        if (automation.conditions && !evaluateCondition(automation.conditions, now)) {
+            console.log(`[Agent/Auto] Automation "${automation.name}" triggered but conditions not met`);
+            finishTrace(trace, "conditions_failed", { conditionsMet: false });
+            continue;
+        }
+        if (trace && automation.conditions)
+            trace.conditionsMet = true;
+        console.log(`[Agent/Auto] Automation "${automation.name}" triggered locally!`);
+        automationCooldowns.set(automation.id, now);
+        startAutomationRun(automation, event, trace);
+    }
+}
+// ==================== Local Time Scheduler ====================
+// Time and sun triggers are scheduled for each concrete occurrence in the
+// home's time zone (HA /config time_zone) instead of being polled, so each one
+// fires exactly once. Sun times come from HA's latitude/longitude/elevation and
+// are computed here, so they work offline. The last fired occurrence per
+// trigger is persisted, which lets triggers with catchUpMinutes run an
+// occurrence missed while we were down.
+const HA_CONFIG_FILE = path.join(DATA_DIR, "ha-config.json");
+const SCHEDULER_STATE_FILE = path.join(DATA_DIR, "scheduler-state.json");
+const SCHEDULER_MAX_SLEEP_MS = 60 * 60 * 1000;
+let haHomeConfig = null;
+let schedulerState = {};
+let scheduledTimeTriggers = [];
+let schedulerTimer = null;
+function loadHaHomeConfig() {
+    try {
+        if (fs.existsSync(HA_CONFIG_FILE)) {
+            haHomeConfig = JSON.parse(fs.readFileSync(HA_CONFIG_FILE, "utf-8"));
+        }
+    }
+    catch (err) {
+        console.error("[Agent/Sched] Error loading cached HA config:", err);
+    }
+}
+// Pull time zone and location from HA; cached on disk for when HA is still starting
+async function refreshHaHomeConfig() {
+    const result = await callHA("GET", "/config");
+    if (!result.success || !result.data) {
+        return;
+    }
+    const { time_zone, latitude, longitude, elevation } = result.data;
+    const changed = !haHomeConfig || haHomeConfig.time_zone !== time_zone ||
+        haHomeConfig.latitude !== latitude || haHomeConfig.longitude !== longitude || haHomeConfig.elevation !== elevation;
+    haHomeConfig = { time_zone, latitude, longitude, elevation };
+    if (!changed) {
+        return;
+    }
+    console.log(`[Agent/Sched] Home time zone: ${time_zone}`);
+    try {
+        if (!fs.existsSync(DATA_DIR)) {
+            fs.mkdirSync(DATA_DIR, { recursive: true });
+        }
+        fs.writeFileSync(HA_CONFIG_FILE, JSON.stringify(haHomeConfig, null, 2), "utf-8");
+    }
+    catch (err) {
+        console.error("[Agent/Sched] Error caching HA config:", err);
+    }
+    rescheduleTimeTriggers();
+}
+function homeTimeZone() {
+    const tz = haHomeConfig?.time_zone;
+    if (tz) {
+        try {
+            new Intl.DateTimeFormat("en-US", { timeZone: tz });
+            return tz;
+        }
+        catch { }
+    }
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+const zonedFormatters = new Map();
+// Wall-clock parts of an instant in a time zone
+function zonedParts(ts, tz) {
+    let fmt = zonedFormatters.get(tz);
+    if (!fmt) {
+        fmt = new Intl.DateTimeFormat("en-US", {
+            timeZone: tz, hourCycle: "h23", weekday: "short",
+            year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric",
+        });
+        zonedFormatters.set(tz, fmt);
+    }
+    const parts = {};
+    for (const p of fmt.formatToParts(new Date(ts))) {
+        parts[p.type] = p.value;
+    }
+    return {
+        year: +parts.year, month: +parts.month, day: +parts.day,
+        hour: +parts.hour, minute: +parts.minute, second: +parts.second,
+        weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday),
+    };
+}
+function zoneOffsetMs(ts, tz) {
+    const p = zonedParts(ts, tz);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ts / 1000) * 1000;
+}
+// Instant of a wall-clock time in a time zone. A time skipped by a DST
+// jump resolves to the same offset past the jump (02:30 -> 03:30); a repeated
+// time resolves to its first occurrence.
+function zonedTimeToUtc(year, month, day, hour, minute, tz) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    const before = wall - zoneOffsetMs(wall - 12 * 60 * 60 * 1000, tz);
+    const after = wall - zoneOffsetMs(wall + 12 * 60 * 60 * 1000, tz);
+    const candidates = [before, after].sort((a, b) => a - b);
+    for (const ts of candidates) {
+        const p = zonedParts(ts, tz);
+        if (p.hour === hour && p.minute === minute && p.day === day)
+            return ts;
+    }
+    // Non-existent wall time (spring forward gap)
+    return Math.max(before, after);
+}
+// Calendar date i days after the zoned date of ts
+function zonedDatePlusDays(ts, days, tz) {
+    const p = zonedParts(ts, tz);
+    const d = new Date(Date.UTC(p.year, p.month - 1, p.day + days));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+}
+// Solar event times from the sunrise equation (accurate to about a minute).
+// Elevation lowers the horizon for sunrise/sunset the same way HA's astral does.
+const SUN_EVENTS = {
+    sunrise: { rising: true, civil: false },
+    sunset: { rising: false, civil: false },
+    dawn: { rising: true, civil: true },
+    dusk: { rising: false, civil: true },
+};
+function sunEventTime(event, year, month, day, latitude, longitude, elevation) {
+    const spec = SUN_EVENTS[event];
+    if (!spec)
+        return null;
+    const rad = Math.PI / 180;
+    const julianMidnight = Date.UTC(year, month - 1, day) / 86400000 + 2440587.5;
+    const n = Math.ceil(julianMidnight - 2451545.0 + 0.0008);
+    const meanSolarTime = n - longitude / 360;
+    const meanAnomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+    const center = 1.9148 * Math.sin(meanAnomaly * rad) + 0.02 * Math.sin(2 * meanAnomaly * rad) + 0.0003 * Math.sin(3 * meanAnomaly * rad);
+    const eclipticLongitude = (meanAnomaly + center + 180 + 102.9372) % 360;
+    const transit = 2451545.0 + meanSolarTime + 0.0053 * Math.sin(meanAnomaly * rad) - 0.0069 * Math.sin(2 * eclipticLongitude * rad);
+    const sinDeclination = Math.sin(eclipticLongitude * rad) * Math.sin(23.4397 * rad);
+    const cosDeclination = Math.cos(Math.asin(sinDeclination));
+    const altitude = spec.civil ? -6 : -0.833 - 2.076 * Math.sqrt(Math.max(0, elevation || 0)) / 60;
+    const cosHourAngle = (Math.sin(altitude * rad) - Math.sin(latitude * rad) * sinDeclination) / (Math.cos(latitude * rad) * cosDeclination);
+    if (cosHourAngle < -1 || cosHourAngle > 1) {
+        // Polar day or night: the sun doesn't cross that altitude today
+        return null;
+    }
+    const hourAngle = Math.acos(cosHourAngle) / rad;
+    const julian = spec.rising ? transit - hourAngle / 360 : transit + hourAngle / 360;
+    return Math.round((julian - 2440587.5) * 86400000);
+}
+function hasHomeLocation() {
+    return typeof haHomeConfig?.latitude === "number" && typeof haHomeConfig?.longitude === "number";
+}
+function triggerDaysAllow(trigger, weekday) {
+    return !(Array.isArray(trigger.days) && trigger.days.length > 0 && !trigger.days.includes(weekday));
+}
+// Instant a time or sun trigger fires on a given zoned calendar date, or null
+function triggerTimeOnDate(trigger, date, tz) {
+    if (trigger.type === "sun") {
+        if (!hasHomeLocation())
+            return null;
+        const at = sunEventTime(trigger.event, date.year, date.month, date.day, haHomeConfig.latitude, haHomeConfig.longitude, haHomeConfig.elevation);
+        return at === null ? null : at + (Number(trigger.offsetMinutes) || 0) * 60 * 1000;
+    }
+    return zonedTimeToUtc(date.year, date.month, date.day, parseInt(trigger.hour || "0"), parseInt(trigger.minute || "0"), tz);
+}
+// Occurrence instants of a scheduled trigger around ts: the first one strictly
+// after ts when direction is 1, the last one at or before ts when direction is -1
+function triggerOccurrence(trigger, ts, direction) {
+    const tz = homeTimeZone();
+    // A large sun offset can move the occurrence onto a neighbouring day
+    for (let i = -1; i <= 8; i++) {
+        const date = zonedDatePlusDays(ts, direction * i, tz);
+        if (!triggerDaysAllow(trigger, date.weekday))
+            continue;
+        const at = triggerTimeOnDate(trigger, date, tz);
+        if (at !== null && (direction > 0 ? at > ts : at <= ts))
+            return at;
+    }
+    return null;
+}
+function loadSchedulerState() {
+    try {
+        if (fs.existsSync(SCHEDULER_STATE_FILE)) {
+            schedulerState = JSON.parse(fs.readFileSync(SCHEDULER_STATE_FILE, "utf-8"));
+        }
+    }
+    catch (err) {
+        console.error("[Agent/Sched] Error loading scheduler state:", err);
+    }
+}
+function saveSchedulerState() {
+    try {
+        if (!fs.existsSync(DATA_DIR)) {
+            fs.mkdirSync(DATA_DIR, { recursive: true });
+        }
+        const tmp = `${SCHEDULER_STATE_FILE}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(schedulerState), "utf-8");
+        fs.renameSync(tmp, SCHEDULER_STATE_FILE);
+    }
+    catch (err) {
+        console.error("[Agent/Sched] Error saving scheduler state:", err);
+    }
+}
+// Rebuild the schedule from the synced bundle; called whenever the bundle or
+// the home's time zone changes
+function rescheduleTimeTriggers() {
+    if (schedulerTimer) {
+        clearTimeout(schedulerTimer);
+        schedulerTimer = null;
+    }
+    scheduledTimeTriggers = [];
+    const now = Date.now();
+    const liveKeys = new Set();
+    for (const automation of syncedBundle?.automations || []) {
+        if (!automation.enabled)
+            continue;
+        (automation.triggerGroups || []).forEach((group, gi) => {
+            (group.triggers || []).forEach((trigger, ti) => {
+                if (trigger.type !== "time" && trigger.type !== "sun")
+                    return;
+                if (trigger.type === "sun" && !hasHomeLocation()) {
+                    console.warn(`[Agent/Sched] No home location from HA yet, sun trigger for "${automation.name}" waits`);
+                }
+                const key = trigger.type === "sun"
+                    ? `${automation.id}:${gi}:${ti}:sun:${trigger.event}:${trigger.offsetMinutes || 0}`
+                    : `${automation.id}:${gi}:${ti}:${trigger.hour}:${trigger.minute}`;
+                liveKeys.add(key);
+                const state = schedulerState[key] || (schedulerState[key] = { armedAt: now, lastFired: 0 });
+                const entry = { key, automation, trigger, nextAt: triggerOccurrence(trigger, now, 1) };
+                const catchUpMinutes = trigger.catchUpMinutes ?? automation.catchUpMinutes ?? 0;
+                if (catchUpMinutes > 0) {
+                    const missed = triggerOccurrence(trigger, now, -1);
+                    if (missed && missed > state.armedAt && missed > state.lastFired && now - missed <= catchUpMinutes * 60 * 1000) {
+                        entry.nextAt = missed;
+                        entry.catchUp = true;
+                    }
+                }
+                scheduledTimeTriggers.push(entry);
+            });
+        });
     }
+    for (const key of Object.keys(schedulerState)) {
+        if (!liveKeys.has(key))
+            delete schedulerState[key];
+    }
+    saveSchedulerState();
+    planSchedulerWake();
 }
-async function processLocalAutomations(zhaEvent) {
-    if (!localAutomationsEnabled || !syncedBundle?.automations)
-        return;
-    const mode = syncedBundle.homePreferences?.automationMode || "cloud";
-    if (mode !== "local")
+function planSchedulerWake() {
+    if (scheduledTimeTriggers.length === 0)
         return;
+    // Triggers without a next occurrence (polar night, no location yet) are retried on each wake
+    const next = scheduledTimeTriggers.reduce((min, e) => (e.nextAt !== null && e.nextAt < min ? e.nextAt : min), Infinity);
+    // Sleep in bounded chunks so a clock jump or long suspend is noticed
+    const delay = Math.max(0, Math.min(next - Date.now(), SCHEDULER_MAX_SLEEP_MS));
+    schedulerTimer = setTimeout(runDueTimeTriggers, delay);
+}
+function runDueTimeTriggers() {
+    schedulerTimer = null;
     const now = Date.now();
-    for (const automation of syncedBundle.automations) {
-        if (!automation.enabled)
+    for (const entry of scheduledTimeTriggers) {
+        if (entry.nextAt === null) {
+            entry.nextAt = triggerOccurrence(entry.trigger, now, 1);
             continue;
-        const cooldownMs = (automation.cooldownMinutes != null && automation.cooldownMinutes > 0 ? automation.cooldownMinutes : 0.05) * 60 * 1000;
-        const lastFired = automationCooldowns.get(automation.id) || 0;
-        if (now - lastFired < cooldownMs)
+        }
+        if (entry.nextAt > now)
             continue;
-        const triggered = evaluateLocalTriggerGroups(automation.triggerGroups, zhaEvent);
-        if (!triggered)
+        const scheduledAt = entry.nextAt;
+        schedulerState[entry.key] = { ...schedulerState[entry.key], lastFired: scheduledAt };
+        console.log(`[Agent/Sched] ${entry.trigger.type === "sun" ? `Sun (${entry.trigger.event})` : "Time"} trigger for "${entry.automation.name}" due at ${new Date(scheduledAt).toISOString()}${entry.catchUp ? " (catch-up)" : ""}`);
+        processLocalAutomations({ type: "time", automationId: entry.automation.id, trigger: entry.trigger, scheduledAt, catchUp: !!entry.catchUp });
+        entry.catchUp = false;
+        entry.nextAt = triggerOccurrence(entry.trigger, Math.max(now, scheduledAt), 1);
+    }
+    saveSchedulerState();
+    planSchedulerWake();
+}
+// ==================== HA State Cache ====================
+// Full state objects, seeded with get_states each time the HA WebSocket
+// authenticates and kept current from state_changed. entityStates (the
+// automation engine's entity -> state string view) is updated alongside.
+const haStateCache = new Map();
+let stateCacheReady = false;
+let stateCacheSeededAt = null;
+function applyStateSnapshot(states) {
+    const seen = new Set();
+    for (const state of states) {
+        if (!state?.entity_id)
             continue;
-        console.log(`[Agent/Auto] Automation "${automation.name}" triggered locally!`);
-        automationCooldowns.set(automation.id, now);
-        for (const action of automation.actions) {
-            await executeLocalAction(action);
-        }
+        seen.add(state.entity_id);
+        const cached = haStateCache.get(state.entity_id);
+        // An event that arrived while get_states was in flight may be newer
+        if (cached && cached.last_updated > state.last_updated)
+            continue;
+        setCachedState(state.entity_id, state);
+    }
+    for (const entityId of [...haStateCache.keys()]) {
+        if (!seen.has(entityId))
+            setCachedState(entityId, null);
+    }
+    stateCacheReady = true;
+    stateCacheSeededAt = new Date().toISOString();
+    console.log(`[Agent/WS] State cache seeded with ${haStateCache.size} entities`);
+}
+function setCachedState(entityId, state) {
+    const previous = haStateCache.get(entityId);
+    if (!state) {
+        haStateCache.delete(entityId);
+        entityStates.delete(entityId);
+        invalidateHomeModel();
+        return;
+    }
+    if (!previous || previous.attributes?.friendly_name !== state.attributes?.friendly_name || previous.attributes?.icon !== state.attributes?.icon) {
+        invalidateHomeModel();
+    }
+    haStateCache.set(entityId, state);
+    if (entityStates.get(entityId) !== state.state) {
+        entityStates.set(entityId, state.state);
+        notifyStateWaiters(entityId, state.state);
     }
 }
+// Callers may bypass the cache with ?fresh=1; it is also skipped while the
+// HA WebSocket is down, since it can't be trusted to be current then.
+function useStateCache(req) {
+    return stateCacheReady && wsConnected && !["1", "true"].includes(String(req.query.fresh));
+}
+// Entity/device/area/floor registries, fetched over the HA WebSocket on
+// connect and again whenever HA reports a registry change. Used to resolve an
+// entity's area (its own, or its device's) and to build the home model.
+const haRegistries = { entities: null, devices: null, areas: null, floors: null, loadedAt: null };
+const HA_REGISTRY_EVENTS = ["entity_registry_updated", "device_registry_updated", "area_registry_updated", "floor_registry_updated"];
+// Registry edits tend to come in bursts (a device joining creates a dozen entities)
+const HA_REGISTRY_RELOAD_DELAY = 1000;
+let haRegistriesLoading = null;
+let haRegistriesReloadQueued = false;
+let haRegistriesReloadTimer = null;
+function loadHaRegistries() {
+    if (haRegistriesLoading) {
+        // A change during a load may not be in what that load returns
+        haRegistriesReloadQueued = true;
+        return haRegistriesLoading;
+    }
+    haRegistriesLoading = Promise.all([
+        haWs.sendCommand({ type: "config/entity_registry/list" }),
+        haWs.sendCommand({ type: "config/device_registry/list" }),
+        haWs.sendCommand({ type: "config/area_registry/list" }),
+        // Floors arrived in HA 2024.4
+        haWs.sendCommand({ type: "config/floor_registry/list" }).catch(() => []),
+    ]).then(([entities, devices, areas, floors]) => {
+        haRegistries.entities = new Map((entities || []).map((e) => [e.entity_id, e]));
+        haRegistries.devices = new Map((devices || []).map((d) => [d.id, d]));
+        haRegistries.areas = new Map((areas || []).map((a) => [a.area_id, a]));
+        haRegistries.floors = new Map((floors || []).map((f) => [f.floor_id, f]));
+        haRegistries.loadedAt = new Date().toISOString();
+        invalidateHomeModel();
+    }).catch((err) => {
+        console.warn("[Agent/WS] Could not load HA registries:", err.message);
+    }).finally(() => {
+        haRegistriesLoading = null;
+        if (haRegistriesReloadQueued) {
+            haRegistriesReloadQueued = false;
+            scheduleHaRegistriesReload();
+        }
+    });
+    return haRegistriesLoading;
+}
+function scheduleHaRegistriesReload() {
+    clearTimeout(haRegistriesReloadTimer);
+    haRegistriesReloadTimer = setTimeout(() => {
+        haRegistriesReloadTimer = null;
+        if (haWs?.isConnected())
+            loadHaRegistries();
+    }, HA_REGISTRY_RELOAD_DELAY);
+}
+function entityAreaId(entityId) {
+    const entry = haRegistries.entities?.get(entityId);
+    if (!entry)
+        return null;
+    return entry.area_id || haRegistries.devices?.get(entry.device_id)?.area_id || null;
+}
+// ---- Home model ----
+// Floors, areas, devices and entities joined for the PWA. Built on demand
+// from the cached registries and kept until a registry changes or an
+// entity's name or icon does.
+let haHomeModel = null;
+function invalidateHomeModel() {
+    haHomeModel = null;
+}
+// Entities and devices name the integration that provides them; the first
+// identifier's domain is the best we have for a device.
+function deviceIntegration(device) {
+    const identifier = (device.identifiers || []).find((i) => Array.isArray(i) && i[0]);
+    return identifier ? identifier[0] : null;
+}
+function buildHomeModel() {
+    const floors = [...(haRegistries.floors?.values() || [])].map((f) => ({
+        floorId: f.floor_id,
+        name: f.name,
+        level: f.level ?? null,
+        icon: f.icon ?? null,
+    }));
+    const areas = [...(haRegistries.areas?.values() || [])].map((a) => ({
+        areaId: a.area_id,
+        name: a.name,
+        floorId: a.floor_id ?? null,
+        icon: a.icon ?? null,
+        picture: a.picture ?? null,
+    }));
+    const devices = [...(haRegistries.devices?.values() || [])].map((d) => ({
+        deviceId: d.id,
+        name: d.name_by_user || d.name,
+        manufacturer: d.manufacturer ?? null,
+        model: d.model ?? null,
+        areaId: d.area_id ?? null,
+        integration: deviceIntegration(d),
+        viaDeviceId: d.via_device_id ?? null,
+        disabled: Boolean(d.disabled_by),
+    }));
+    // Registry entries first, then state-only entities (those without a unique id)
+    const entityIds = new Set([...(haRegistries.entities?.keys() || []), ...haStateCache.keys()]);
+    const entities = [...entityIds].map((entityId) => {
+        const entry = haRegistries.entities?.get(entityId);
+        const attributes = haStateCache.get(entityId)?.attributes || {};
+        return {
+            entityId,
+            domain: entityId.split(".")[0],
+            name: attributes.friendly_name || entry?.name || entry?.original_name || entityId,
+            icon: entry?.icon || attributes.icon || entry?.original_icon || null,
+            areaId: entityAreaId(entityId),
+            deviceId: entry?.device_id ?? null,
+            integration: entry?.platform ?? null,
+            category: entry?.entity_category ?? null,
+            hidden: Boolean(entry?.hidden_by),
+            disabled: Boolean(entry?.disabled_by),
+        };
+    });
+    return {
+        generatedAt: new Date().toISOString(),
+        registriesLoadedAt: haRegistries.loadedAt,
+        floors,
+        areas,
+        devices,
+        entities,
+    };
+}
 const zhaEventBuffer = [];
 const ZHA_EVENT_BUFFER_MAX = 100;
 let wsConnected = false;
-let wsReconnectTimer = null;
-let wsMsgId = 1;
+let haWs = null;
+// ---- Button events ----
+// ZHA, deCONZ and Hue bus events, Zigbee2MQTT action sensors, event entities
+// and HA device triggers all become one shape:
+//   { source, command, press, button, device_ieee, unique_id, device_id, entity_id,
+//     endpoint_id, cluster_id, args, params, timestamp, raw }
+// press is single | double | long | triple, or null for presses we don't map
+// (initial press, repeat, release); it is what the button_* comparators match.
+const BUTTON_PRESS_SUFFIXES = [
+    ["double", /(?:^|_)double(?:_click|_press)?$/],
+    ["triple", /(?:^|_)triple(?:_click|_press)?$/],
+    ["long", /(?:^|_)(?:hold|long(?:_press|_click)?)$/],
+    ["single", /(?:^|_)(?:single|click|short_press|press)$/],
+];
+// deCONZ event codes are button * 1000 + action
+const DECONZ_ACTIONS = { 1: "long", 2: "single", 4: "double", 5: "triple" };
+const HUE_EVENT_TYPES = { short_release: "single", long_press: "long", double_short_release: "double" };
+function classifyPress(command) {
+    const cmd = String(command ?? "").toLowerCase();
+    for (const [comparator, cmds] of Object.entries(BUTTON_CMD_MAP)) {
+        if (cmds.includes(cmd))
+            return comparator.slice("button_".length);
+    }
+    const suffix = BUTTON_PRESS_SUFFIXES.find(([, pattern]) => pattern.test(cmd));
+    return suffix ? suffix[0] : null;
+}
+// "1_single" -> "1", "brightness_up_click" -> "brightness_up"
+function buttonOf(command) {
+    const cmd = String(command ?? "").toLowerCase();
+    const suffix = BUTTON_PRESS_SUFFIXES.find(([, pattern]) => pattern.test(cmd));
+    return (suffix && cmd.replace(suffix[1], "")) || null;
+}
+function buttonEvent(source, fields, raw) {
+    return {
+        source,
+        command: "unknown",
+        press: null,
+        button: null,
+        device_ieee: "",
+        unique_id: "",
+        device_id: null,
+        entity_id: null,
+        ...fields,
+        timestamp: new Date().toISOString(),
+        raw,
+    };
+}
+// Identifiers a trigger's sensorEntityId may name
+function buttonEventIds(data) {
+    return [data.device_ieee, data.unique_id, data.device_id, data.entity_id].filter(Boolean);
+}
+function normalizeZhaEvent(data) {
+    const command = data.command || data.event || data.action || "unknown";
+    return buttonEvent("zha", {
+        command,
+        press: classifyPress(command),
+        button: data.args?.button ?? data.params?.button ?? null,
+        device_ieee: data.device_ieee || data.ieee || "",
+        unique_id: data.unique_id || "",
+        device_id: data.device_id,
+        args: data.args,
+        params: data.params,
+        endpoint_id: data.endpoint_id ?? data.endpoint,
+        cluster_id: data.cluster_id ?? data.cluster,
+    }, data);
+}
+function normalizeDeconzEvent(data) {
+    const code = Number(data.event);
+    return buttonEvent("deconz", {
+        command: String(data.event),
+        press: Number.isFinite(code) ? DECONZ_ACTIONS[code % 1000] || null : null,
+        button: Number.isFinite(code) ? `button_${Math.floor(code / 1000)}` : null,
+        unique_id: data.unique_id || data.id || "",
+        device_id: data.device_id,
+    }, data);
+}
+function normalizeHueEvent(data) {
+    return buttonEvent("hue", {
+        command: data.type || "unknown",
+        press: HUE_EVENT_TYPES[data.type] || null,
+        button: data.subtype !== undefined ? `button_${data.subtype}` : null,
+        unique_id: data.unique_id || data.id || "",
+        device_id: data.device_id,
+    }, data);
+}
+// Zigbee2MQTT's sensor.<name>_action and event.* entities report presses as
+// state changes; anything else is not a button.
+function buttonEventFromStateChange(data) {
+    const entityId = data.entity_id || "";
+    const newState = data.new_state;
+    if (!newState || !data.old_state || ["unavailable", "unknown", ""].includes(newState.state))
+        return null;
+    const deviceId = haRegistries.entities?.get(entityId)?.device_id || null;
+    if (entityId.startsWith("sensor.") && entityId.endsWith("_action")) {
+        return buttonEvent("z2m", { command: newState.state, press: classifyPress(newState.state), button: buttonOf(newState.state), entity_id: entityId, device_id: deviceId }, data);
+    }
+    if (entityId.startsWith("event.") && newState.attributes?.event_type) {
+        const command = newState.attributes.event_type;
+        return buttonEvent("event_entity", { command, press: classifyPress(command), button: buttonOf(command), entity_id: entityId, device_id: deviceId }, data);
+    }
+    return null;
+}
+// Device triggers (e.g. Zigbee2MQTT MQTT triggers, ZHA remotes) are
+// subscribed with subscribe_trigger from the button triggers that carry a
+// deviceTrigger config; a firing only matches the trigger(s) with that config.
+function deviceTriggerKey(deviceTrigger) {
+    return JSON.stringify(Object.keys(deviceTrigger).sort().map((k) => [k, deviceTrigger[k]]));
+}
+function syncDeviceTriggerSubscriptions() {
+    if (!haWs)
+        return;
+    const wanted = new Map();
+    for (const automation of syncedBundle?.automations || []) {
+        for (const group of automation.triggerGroups || []) {
+            for (const trigger of group.triggers || []) {
+                if (isPlainObject(trigger.deviceTrigger))
+                    wanted.set(deviceTriggerKey(trigger.deviceTrigger), { ...trigger.deviceTrigger, platform: "device" });
+            }
+        }
+    }
+    for (const key of [...haWs.triggers.keys()]) {
+        if (!wanted.has(key))
+            haWs.unsubscribeTrigger(key);
+    }
+    for (const [key, config] of wanted) {
+        if (!haWs.triggers.has(key))
+            haWs.subscribeTrigger(key, config);
+    }
+}
+function handleDeviceTrigger(key, variables) {
+    const cfg = haWs.triggers.get(key)?.trigger || {};
+    const typePress = classifyPress(cfg.type);
+    handleButtonEvent(buttonEvent("device_trigger", {
+        command: [cfg.type, cfg.subtype].filter(Boolean).join("/"),
+        press: typePress || classifyPress(cfg.subtype),
+        button: typePress ? cfg.subtype ?? null : buttonOf(cfg.subtype),
+        device_id: cfg.device_id,
+        deviceTriggerKey: key,
+    }, variables));
+}
+function handleButtonEvent(event) {
+    console.log(`[Agent/Button] ${event.source}: cmd=${event.command} press=${event.press} button=${event.button} id=${buttonEventIds(event).join("|")}`);
+    zhaEventBuffer.unshift(event);
+    if (zhaEventBuffer.length > ZHA_EVENT_BUFFER_MAX) {
+        zhaEventBuffer.length = ZHA_EVENT_BUFFER_MAX;
+    }
+    for (const client of sseClients) {
+        try {
+            client.write(`data: ${JSON.stringify(event)}\n\n`);
+        }
+        catch { }
+    }
+    const { raw, ...relayed } = event;
+    broadcastToRelay("homecasa_button_event", relayed);
+    processLocalAutomations({ type: "button", data: event });
+}
+function handleStateChangedEvent(data) {
+    broadcastToRelay("state_changed", data);
+    const button = buttonEventFromStateChange(data);
+    const entityId = data.entity_id;
+    const newState = data.new_state?.state;
+    const oldState = data.old_state?.state;
+    if (entityId && !data.new_state) {
+        setCachedState(entityId, null);
+    }
+    if (entityId && newState !== undefined) {
+        setCachedState(entityId, data.new_state);
+        if (oldState !== newState) {
+            processLocalAutomations({ type: "state_changed", entityId, oldState, newState });
+        }
+    }
+    if (button) {
+        handleButtonEvent(button);
+    }
+}
 function connectHaWebSocket() {
-    const wsUrl = config.haUrl.replace(/^http/, "ws") + "/websocket";
-    console.log(`[Agent/WS] Connecting to HA WebSocket: ${wsUrl}`);
-    let ws;
+    let WebSocket;
     try {
-        const WebSocket = require("ws");
-        ws = new WebSocket(wsUrl);
+        WebSocket = require("ws");
     }
     catch (e) {
         console.error("[Agent/WS] WebSocket module not available:", e);
         return;
     }
-    ws.on("open", () => {
-        console.log("[Agent/WS] WebSocket connected");
+    haWs = new ha_ws_client_1.HaWebSocketClient({
+        url: config.haUrl.replace(/^http/, "ws") + "/websocket",
+        token: config.haToken,
+        WebSocket,
     });
-    ws.on("message", (raw) => {
+    haWs.subscribeEvents("zha_event");
+    haWs.subscribeEvents("deconz_event");
+    haWs.subscribeEvents("hue_event");
+    haWs.subscribeEvents("state_changed");
+    for (const eventType of HA_REGISTRY_EVENTS) {
+        haWs.subscribeEvents(eventType);
+    }
+    syncDeviceTriggerSubscriptions();
+    haWs.on("state", (state) => {
+        wsConnected = state === "connected";
+        notifyRelayHaConnection();
+    });
+    // Subscriptions go out before get_states, so no change falls between the
+    // snapshot and the event stream
+    haWs.on("connected", () => {
+        console.log("[Agent/WS] Authenticated, subscribed to events");
+        refreshHaHomeConfig().catch(() => { });
+        loadHaRegistries();
+        haWs.sendCommand({ type: "get_states" }, { timeoutMs: 60000 })
+            .then((states) => applyStateSnapshot(Array.isArray(states) ? states : []))
+            .catch((err) => console.warn("[Agent/WS] get_states failed:", err.message));
+    });
+    // Events were missed while down: holds can't be trusted and the cache is
+    // stale until the next snapshot
+    haWs.on("disconnected", (reason) => {
+        console.log(`[Agent/WS] Disconnected from HA (${reason})`);
+        stateCacheReady = false;
+        cancelAllPendingHolds();
+    });
+    haWs.on("trigger", (key, variables) => {
+        try {
+            handleDeviceTrigger(key, variables);
+        }
+        catch (e) {
+            console.error("[Agent/WS] Device trigger handling error:", e);
+        }
+    });
+    haWs.on("event", (event) => {
         try {
-            const msg = JSON.parse(raw.toString());
-            if (msg.type === "auth_required") {
-                ws.send(JSON.stringify({ type: "auth", access_token: config.haToken }));
+            if (event.event_type === "zha_event") {
+                broadcastToRelay("zha_event", event.data || {});
+                handleButtonEvent(normalizeZhaEvent(event.data || {}));
             }
-            else if (msg.type === "auth_ok") {
-                wsConnected = true;
-                console.log("[Agent/WS] Authenticated, subscribing to events...");
-                ws.send(JSON.stringify({
-                    id: wsMsgId++,
-                    type: "subscribe_events",
-                    event_type: "zha_event",
-                }));
-                ws.send(JSON.stringify({
-                    id: wsMsgId++,
-                    type: "subscribe_events",
-                    event_type: "state_changed",
-                }));
+            else if (event.event_type === "deconz_event") {
+                handleButtonEvent(normalizeDeconzEvent(event.data || {}));
             }
-            else if (msg.type === "auth_invalid") {
-                console.error("[Agent/WS] Auth failed:", msg.message);
-                wsConnected = false;
-                ws.close();
+            else if (event.event_type === "hue_event") {
+                handleButtonEvent(normalizeHueEvent(event.data || {}));
             }
-            else if (msg.type === "event" && msg.event?.event_type === "zha_event") {
-                const data = msg.event.data || {};
-                broadcastToRelay("zha_event", data);
-                const event = {
-                    command: data.command || data.event || data.action || "unknown",
-                    device_ieee: data.device_ieee || data.ieee || "",
-                    unique_id: data.unique_id || "",
-                    args: data.args,
-                    params: data.params,
-                    timestamp: new Date().toISOString(),
-                    endpoint_id: data.endpoint_id ?? data.endpoint,
-                    cluster_id: data.cluster_id ?? data.cluster,
-                    device_id: data.device_id,
-                    raw: data,
-                };
-                console.log(`[Agent/ZHA] Event: cmd=${event.command} ieee=${event.device_ieee} ep=${event.endpoint_id} cl=${event.cluster_id} raw=${JSON.stringify(data)}`);
-                zhaEventBuffer.unshift(event);
-                if (zhaEventBuffer.length > ZHA_EVENT_BUFFER_MAX) {
-                    zhaEventBuffer.length = ZHA_EVENT_BUFFER_MAX;
-                }
-                for (const client of sseClients) {
-                    try {
-                        client.write(`data: ${JSON.stringify(event)}\n\n`);
-                    }
-                    catch { }
-                }
-                const eventKey = `${event.device_ieee}::${event.command}`;
-                const lastTs = processedZhaTimestamps.get(eventKey);
-                if (lastTs !== event.timestamp) {
-                    processedZhaTimestamps.set(eventKey, event.timestamp);
-                    processLocalAutomations(event);
-                }
+            else if (event.event_type === "state_changed") {
+                handleStateChangedEvent(event.data || {});
             }
-            else if (msg.type === "event" && msg.event?.event_type === "state_changed") {
-                const data = msg.event.data || {};
-                broadcastToRelay("state_changed", data);
-                const entityId = data.entity_id;
-                const newState = data.new_state?.state;
-                const oldState = data.old_state?.state;
-                if (entityId && newState !== undefined) {
-                    previousEntityStates.set(entityId, oldState || "");
-                    entityStates.set(entityId, newState);
-                    if (oldState !== newState) {
-                        processLocalAutomations();
-                    }
+            else if (HA_REGISTRY_EVENTS.includes(event.event_type)) {
+                scheduleHaRegistriesReload();
+                if (event.event_type === "device_registry_updated") {
+                    handleZhaDeviceRegistryUpdate(event.data || {}).catch((err) => {
+                        console.warn("[Agent/ZHA] Could not look up new device:", err.message);
+                    });
                 }
             }
         }
         catch (e) {
-            console.error("[Agent/WS] Parse error:", e);
+            console.error("[Agent/WS] Event handling error:", e);
         }
     });
-    ws.on("close", () => {
-        console.log("[Agent/WS] WebSocket closed, reconnecting in 10s...");
-        wsConnected = false;
-        if (wsReconnectTimer)
-            clearTimeout(wsReconnectTimer);
-        wsReconnectTimer = setTimeout(connectHaWebSocket, 10000);
-    });
-    ws.on("error", (err) => {
-        console.error("[Agent/WS] WebSocket error:", err.message || err);
-    });
+    haWs.start();
 }
 const sseClients = new Set();
 app.get("/ha/zha-events", authenticateAgent, (req, res) => {
     const ieee = req.query.ieee;
+    const source = req.query.source;
     const limit = Math.min(parseInt(req.query.limit) || 50, ZHA_EVENT_BUFFER_MAX);
     let events = zhaEventBuffer;
     if (ieee) {
         events = events.filter(e => e.device_ieee === ieee);
     }
+    if (source) {
+        events = events.filter(e => e.source === source);
+    }
     res.json({ success: true, connected: wsConnected, events: events.slice(0, limit) });
 });
 app.get("/ha/zha-events/stream", authenticateAgent, (req, res) => {
@@ -843,6 +4050,178 @@ app.get("/ha/zha-events/stream", authenticateAgent, (req, res) => {
         sseClients.delete(res);
     });
 });
+// ==================== ZHA Device Management ====================
+// Device onboarding for the app, over the agent's HA WebSocket. Everything
+// here changes the Zigbee network, so it needs an admin key.
+const ZHA_PERMIT_MAX_SECONDS = 254;
+// Comment lines keep idle join streams open through the tunnel and proxies
+const ZHA_STREAM_KEEPALIVE_MS = 15000;
+const zhaJoinClients = new Set();
+let zhaPermitUntil = 0;
+let zhaPermitTimer = null;
+function zhaDeviceSummary(device) {
+    return {
+        ieee: device.ieee,
+        nwk: device.nwk,
+        deviceId: device.device_reg_id,
+        name: device.user_given_name || device.name,
+        manufacturer: device.manufacturer,
+        model: device.model,
+        quirk: device.quirk_applied ? device.quirk_class : null,
+        deviceType: device.device_type,
+        powerSource: device.power_source,
+        available: device.available,
+        lqi: device.lqi ?? null,
+        rssi: device.rssi ?? null,
+        lastSeen: device.last_seen ?? null,
+        areaId: device.area_id ?? null,
+        entities: (device.entities || []).map((e) => e.entity_id),
+    };
+}
+function zhaCommand(message) {
+    if (!haWs) {
+        return Promise.reject(new ha_ws_client_1.HaCommandError("not_connected", "Home Assistant WebSocket is not available"));
+    }
+    return haWs.sendCommand(message);
+}
+function sendHaCommandError(res, err) {
+    if (err.code === "not_connected" || err.code === "disconnected") {
+        return res.status(503).json({ error: err.message, code: err.code });
+    }
+    res.status(err.code === "timeout" ? 504 : 502).json({ error: err.message, code: err.code || "home_assistant_error" });
+}
+function zhaPermitRemaining() {
+    return Math.max(0, Math.ceil((zhaPermitUntil - Date.now()) / 1000));
+}
+function notifyZhaJoinClients(message) {
+    for (const client of zhaJoinClients) {
+        try {
+            client.write(`data: ${JSON.stringify(message)}\n\n`);
+        }
+        catch { }
+    }
+}
+// ZHA adds a device to the device registry as soon as it joins; the
+// interview (and its entities) may still be in progress at that point.
+async function handleZhaDeviceRegistryUpdate(data) {
+    if (data.action !== "create" || (zhaPermitRemaining() === 0 && zhaJoinClients.size === 0))
+        return;
+    const devices = await zhaCommand({ type: "zha/devices" });
+    const device = (devices || []).find((d) => d.device_reg_id === data.device_id);
+    if (!device)
+        return;
+    console.log(`[Agent/ZHA] Device joined: ${device.ieee} (${device.manufacturer} ${device.model})`);
+    notifyZhaJoinClients({ type: "device_joined", device: zhaDeviceSummary(device) });
+}
+// GET /ha/zha/devices - ZHA devices with link quality, last seen and power source
+app.get("/ha/zha/devices", requireAdminKey, async (_req, res) => {
+    try {
+        const devices = await zhaCommand({ type: "zha/devices" });
+        res.json({ success: true, devices: (devices || []).map(zhaDeviceSummary) });
+    }
+    catch (err) {
+        sendHaCommandError(res, err);
+    }
+});
+// POST /ha/zha/permit - Open the network for joining. Body: { duration?, ieee? }
+// (ieee: join through that router only)
+app.post("/ha/zha/permit", requireAdminKey, async (req, res) => {
+    const duration = req.body?.duration === undefined ? 60 : Number(req.body.duration);
+    if (!Number.isInteger(duration) || duration < 0 || duration > ZHA_PERMIT_MAX_SECONDS) {
+        return res.status(400).json({ error: `duration must be a whole number of seconds from 0 to ${ZHA_PERMIT_MAX_SECONDS}` });
+    }
+    const serviceData = { duration };
+    if (req.body?.ieee) {
+        serviceData.ieee = String(req.body.ieee);
+    }
+    try {
+        await zhaCommand({ type: "call_service", domain: "zha", service: "permit", service_data: serviceData });
+    }
+    catch (err) {
+        recordAudit({ source: auditSourceFromRequest(req), domain: "zha", service: "permit", entityIds: [], result: { success: false, error: err.message } });
+        return sendHaCommandError(res, err);
+    }
+    recordAudit({ source: auditSourceFromRequest(req), domain: "zha", service: "permit", entityIds: [], result: { success: true } });
+    zhaPermitUntil = Date.now() + duration * 1000;
+    notifyZhaJoinClients({ type: "permit", remaining: duration });
+    clearTimeout(zhaPermitTimer);
+    zhaPermitTimer = duration > 0 ? setTimeout(() => notifyZhaJoinClients({ type: "permit", remaining: 0 }), duration * 1000) : null;
+    res.json({ success: true, duration, until: new Date(zhaPermitUntil).toISOString() });
+});
+// GET /ha/zha/permit/stream - SSE of devices joining while the network is open
+app.get("/ha/zha/permit/stream", requireAdminKey, (req, res) => {
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`data: ${JSON.stringify({ type: "permit", remaining: zhaPermitRemaining(), wsConnected })}\n\n`);
+    zhaJoinClients.add(res);
+    const keepalive = setInterval(() => {
+        try {
+            res.write(": ping\n\n");
+        }
+        catch { }
+    }, ZHA_STREAM_KEEPALIVE_MS);
+    req.on("close", () => {
+        clearInterval(keepalive);
+        zhaJoinClients.delete(res);
+    });
+});
+// PUT /ha/zha/devices/:ieee - Rename a device. Body: { name } (empty resets to ZHA's name)
+app.put("/ha/zha/devices/:ieee", requireAdminKey, async (req, res) => {
+    const ieee = req.params.ieee;
+    const name = req.body?.name;
+    if (name !== null && typeof name !== "string") {
+        return res.status(400).json({ error: "name must be a string or null" });
+    }
+    let renamed = false;
+    try {
+        const device = await zhaCommand({ type: "zha/device", ieee });
+        await zhaCommand({ type: "config/device_registry/update", device_id: device.device_reg_id, name_by_user: name?.trim() || null });
+        renamed = true;
+        recordAudit({ source: auditSourceFromRequest(req), domain: "zha", service: "rename", entityIds: [], ieee, result: { success: true } });
+        const updated = await zhaCommand({ type: "zha/device", ieee });
+        res.json({ success: true, device: zhaDeviceSummary(updated) });
+    }
+    catch (err) {
+        if (!renamed) {
+            recordAudit({ source: auditSourceFromRequest(req), domain: "zha", service: "rename", entityIds: [], ieee, result: { success: false, error: err.message } });
+        }
+        if (err.code === "not_found") {
+            return res.status(404).json({ error: `No ZHA device ${ieee}`, code: "not_found" });
+        }
+        sendHaCommandError(res, err);
+    }
+});
+// POST /ha/zha/devices/:ieee/reconfigure - Re-run binding and reporting setup
+app.post("/ha/zha/devices/:ieee/reconfigure", requireAdminKey, async (req, res) => {
+    const ieee = req.params.ieee;
+    try {
+        await zhaCommand({ type: "zha/devices/reconfigure", ieee });
+        recordAudit({ source: auditSourceFromRequest(req), domain: "zha", service: "reconfigure", entityIds: [], ieee, result: { success: true } });
+        res.json({ success: true });
+    }
+    catch (err) {
+        recordAudit({ source: auditSourceFromRequest(req), domain: "zha", service: "reconfigure", entityIds: [], ieee, result: { success: false, error: err.message } });
+        sendHaCommandError(res, err);
+    }
+});
+// DELETE /ha/zha/devices/:ieee - Remove a device from the Zigbee network
+app.delete("/ha/zha/devices/:ieee", requireAdminKey, async (req, res) => {
+    const ieee = req.params.ieee;
+    try {
+        await zhaCommand({ type: "call_service", domain: "zha", service: "remove", service_data: { ieee } });
+        recordAudit({ source: auditSourceFromRequest(req), domain: "zha", service: "remove", entityIds: [], ieee, result: { success: true } });
+        res.json({ success: true });
+    }
+    catch (err) {
+        recordAudit({ source: auditSourceFromRequest(req), domain: "zha", service: "remove", entityIds: [], ieee, result: { success: false, error: err.message } });
+        sendHaCommandError(res, err);
+    }
+});
 // ==================== Heartbeat to HomeCasa Cloud ====================
 async function sendHeartbeat() {
     if (!config.agentApiKey || !config.homecasaCloudUrl) {
@@ -857,12 +4236,15 @@ async function sendHeartbeat() {
             },
             body: JSON.stringify({
                 timestamp: Date.now(),
+                automationOwner: currentAutomationOwner(),
             }),
         });
+        recordHeartbeatResult(response.ok, response.ok ? null : `HTTP ${response.status}`);
         if (response.ok) {
             console.log("[Agent] Heartbeat sent successfully");
             try {
                 const data = await response.json();
+                pinSyncSigningKey(data?.syncSigningKey);
                 if (data?.homeId && !syncHomeId) {
                     syncHomeId = data.homeId;
                     console.log(`[Agent] Learned homeId from heartbeat: ${syncHomeId}`);
@@ -877,6 +4259,7 @@ async function sendHeartbeat() {
     }
     catch (error) {
         console.error("[Agent] Heartbeat error:", error);
+        recordHeartbeatResult(false, String(error));
     }
 }
 // Start heartbeat interval
@@ -885,35 +4268,343 @@ if (config.heartbeatInterval > 0) {
     // Send initial heartbeat after startup
     setTimeout(sendHeartbeat, 5000);
 }
+// ==================== Cloud Failover ====================
+// automationMode "hybrid" lets the cloud run automations while it is healthy
+// and hands them to the local engine after cloudFailoverHeartbeats missed
+// heartbeats with no cloud relay connection. Control goes back to the cloud on
+// the first good heartbeat or relay connection. Only events after a switch are
+// handled by the new owner, and queued local runs are dropped on handback, so
+// nothing fires twice.
+const cloudHealth = { consecutiveFailures: 0, lastOkAt: null, lastFailureAt: null, lastError: null };
+let hybridOwner = "cloud";
+let ownerSince = Date.now();
+function automationMode() {
+    return syncedBundle?.homePreferences?.automationMode || "cloud";
+}
+// The cloud connects with the add-on's own agent_api_key; dashboards and
+// other clients using issued keys through the tunnel don't mean it is up.
+function isCloudRelayClient(client) {
+    return client.authed && client.remote && client.key?.id === PRIMARY_KEY.id;
+}
+function cloudRelayConnected() {
+    for (const client of relayClients) {
+        if (isCloudRelayClient(client))
+            return true;
+    }
+    return false;
+}
+function currentAutomationOwner() {
+    const mode = automationMode();
+    if (mode === "local")
+        return "local";
+    if (mode === "hybrid")
+        return hybridOwner;
+    return "cloud";
+}
+function recordHeartbeatResult(ok, error) {
+    if (ok) {
+        cloudHealth.consecutiveFailures = 0;
+        cloudHealth.lastOkAt = Date.now();
+        cloudHealth.lastError = null;
+    }
+    else {
+        cloudHealth.consecutiveFailures++;
+        cloudHealth.lastFailureAt = Date.now();
+        cloudHealth.lastError = error;
+    }
+    updateHybridOwner();
+}
+function updateHybridOwner() {
+    if (automationMode() !== "hybrid")
+        return;
+    const cloudDown = cloudHealth.consecutiveFailures >= config.cloudFailoverHeartbeats && !cloudRelayConnected();
+    const next = cloudDown ? "local" : "cloud";
+    if (next === hybridOwner)
+        return;
+    hybridOwner = next;
+    ownerSince = Date.now();
+    if (next === "local") {
+        console.warn(`[Agent/Failover] Cloud unreachable (${cloudHealth.consecutiveFailures} missed heartbeats), running automations locally`);
+        return;
+    }
+    console.log("[Agent/Failover] Cloud is back, handing automations back");
+    cancelAllPendingHolds();
+    for (const slot of automationRuns.values()) {
+        for (const queued of slot.queue.splice(0))
+            finishTrace(queued.trace, "handed_back");
+        if (slot.current)
+            cancelRun(slot.current, "handed_back");
+    }
+}
 // ==================== Cloud WebSocket Relay ====================
 // HomeCasa Cloud opens a WebSocket to wss://<tunnel>/api/websocket to receive
 // real-time HA events (state_changed + zha_event). Reuses the single authed HA
 // connection (connectHaWebSocket above) and fans its events out to relay clients,
-// emulating just enough of the HA WebSocket protocol that the cloud's existing HA
+// emulating enough of the HA WebSocket protocol that the cloud's existing HA
 // WebSocket client works unchanged: greet with auth_required, validate the agent
-// API key sent as access_token, ack subscribe_events, then stream event envelopes.
+// API key sent as access_token, then stream events for each subscribe_events and
+// answer call_service/get_states/get_config over the agent's own HA connection.
 const relayClients = new Set();
 const RELAY_AUTH_TIMEOUT_MS = 10000;
 const RELAY_PING_INTERVAL_MS = 30000;
+// A client that hasn't answered the previous ping by the next one is dead
+// (half-open TCP through the tunnel); terminate it so failover sees it gone.
+// Every relayed event gets a sequence number and is kept in a bounded replay
+// buffer (also while no client is connected), so a client that reconnects can
+// subscribe with since_seq and receive what it missed. Sequence numbers restart
+// with the agent, so they are only meaningful together with relayStreamId.
+const RELAY_REPLAY_BUFFER_MAX = 1000;
+const relayReplayBuffer = [];
+const relayStreamId = crypto.randomUUID();
+let relaySeq = 0;
 function broadcastToRelay(eventType, data) {
-    if (relayClients.size === 0)
-        return;
-    const payload = JSON.stringify({ type: "event", event: { event_type: eventType, data } });
+    const entry = { seq: ++relaySeq, event: { event_type: eventType, data, time_fired: new Date().toISOString() } };
+    relayReplayBuffer.push(entry);
+    if (relayReplayBuffer.length > RELAY_REPLAY_BUFFER_MAX) {
+        relayReplayBuffer.shift();
+    }
     for (const client of relayClients) {
         if (!client.authed)
             continue;
-        if (!client.events.has(eventType) && !client.events.has("*"))
-            continue;
-        try {
-            client.ws.send(payload);
+        for (const [id, subscription] of client.subscriptions) {
+            if (relaySubscriptionMatches(client, subscription, entry.event))
+                deliverRelayEvent(client, id, subscription, entry);
         }
-        catch { }
     }
 }
-function handleRelayConnection(ws) {
-    const client = { ws, events: new Set(), authed: false, pingTimer: null };
+// Filters only narrow events that carry an entity_id; an entity passes if it
+// matches any of entity_ids (globs), domains or area_ids.
+function relaySubscriptionMatches(client, subscription, event) {
+    if (subscription.eventType !== "*" && subscription.eventType !== event.event_type)
+        return false;
+    const entityId = event.data?.entity_id;
+    if (!entityId)
+        return true;
+    if (!keyAllowsEntity(client.key, entityId))
+        return false;
+    const { entityIds, domains, areaIds } = subscription;
+    if (!entityIds && !domains && !areaIds)
+        return true;
+    return !!(entityIds && matchesAny(entityIds, entityId)) ||
+        !!(domains && domains.includes(entityId.split(".")[0])) ||
+        !!(areaIds && areaIds.includes(entityAreaId(entityId)));
+}
+// The agent's own HA link status goes out as its own message type rather than
+// as an event, so it never reaches HA-style subscribers or the replay buffer.
+function sendRelayHaConnection(client) {
+    try {
+        client.ws.send(JSON.stringify({ type: "ha_connection", state: haWs?.state || "disconnected", connected: wsConnected }));
+    }
+    catch { }
+}
+function notifyRelayHaConnection() {
+    for (const client of relayClients) {
+        if (client.authed)
+            sendRelayHaConnection(client);
+    }
+}
+function sendRelayEvent(client, id, entry) {
+    try {
+        client.ws.send(JSON.stringify({ id, type: "event", stream_id: relayStreamId, seq: entry.seq, event: entry.event }));
+    }
+    catch { }
+}
+// min_interval throttles per entity: the first change goes out at once, later
+// ones inside the window collapse into the latest, sent when it closes.
+function deliverRelayEvent(client, id, subscription, entry) {
+    const entityId = entry.event.data?.entity_id;
+    if (!subscription.minIntervalMs || !entityId) {
+        return sendRelayEvent(client, id, entry);
+    }
+    const pending = subscription.pending.get(entityId);
+    if (pending) {
+        pending.entry = entry;
+        return;
+    }
+    const now = Date.now();
+    const wait = (subscription.lastSent.get(entityId) || 0) + subscription.minIntervalMs - now;
+    if (wait <= 0) {
+        subscription.lastSent.set(entityId, now);
+        return sendRelayEvent(client, id, entry);
+    }
+    const timer = setTimeout(() => {
+        const latest = subscription.pending.get(entityId);
+        subscription.pending.delete(entityId);
+        subscription.lastSent.set(entityId, Date.now());
+        sendRelayEvent(client, id, latest.entry);
+    }, wait);
+    subscription.pending.set(entityId, { entry, timer });
+}
+function dropRelaySubscription(subscription) {
+    for (const { timer } of subscription.pending.values())
+        clearTimeout(timer);
+    subscription.pending.clear();
+}
+function relayFilterList(value, field) {
+    if (value === undefined || value === null)
+        return null;
+    const list = typeof value === "string" ? [value] : value;
+    if (!Array.isArray(list) || list.some((v) => typeof v !== "string")) {
+        throw Object.assign(new Error(`${field} must be a string or an array of strings`), { code: "invalid_format" });
+    }
+    return list.length ? list : null;
+}
+async function relaySubscribe(client, msg) {
+    const subscription = {
+        eventType: msg.event_type || "*",
+        entityIds: relayFilterList(msg.entity_ids, "entity_ids"),
+        domains: relayFilterList(msg.domains, "domains"),
+        areaIds: relayFilterList(msg.area_ids, "area_ids"),
+        minIntervalMs: Math.max(Number(msg.min_interval) || 0, 0) * 1000,
+        lastSent: new Map(),
+        pending: new Map(),
+    };
+    if (subscription.areaIds && !haRegistries.loadedAt && haWs?.isConnected()) {
+        await loadHaRegistries();
+    }
+    client.subscriptions.set(msg.id, subscription);
+    const oldest = relayReplayBuffer[0]?.seq ?? relaySeq + 1;
+    const since = msg.since_seq === undefined ? null : Number(msg.since_seq);
+    // A since_seq from another stream (the agent restarted) or from the future
+    // can't be resumed: replay what we have and report the gap.
+    const resumable = since !== null && Number.isFinite(since) && since <= relaySeq && (msg.stream_id === undefined || msg.stream_id === relayStreamId);
+    const replay = since === null ? [] : relayReplayBuffer.filter((e) => e.seq > (resumable ? since : 0) && relaySubscriptionMatches(client, subscription, e.event));
+    // complete is false when events after since_seq have already left the buffer
+    const complete = since === null || (resumable && since >= oldest - 1);
+    sendRelayResult(client, msg.id, true, { stream_id: relayStreamId, seq: relaySeq, replayed: replay.length, complete });
+    for (const entry of replay) {
+        sendRelayEvent(client, msg.id, entry);
+    }
+}
+function sendRelayResult(client, id, success, payload) {
+    if (typeof id !== "number")
+        return;
+    try {
+        client.ws.send(JSON.stringify(success ? { id, type: "result", success: true, result: payload ?? null } : { id, type: "result", success: false, error: payload }));
+    }
+    catch { }
+}
+// sync_bundle_updated carries either a full signed bundle, a signed delta
+// against the running version, or nothing (just "go fetch"). A delta that
+// doesn't apply is reported as rejected and falls back to fetching the full
+// bundle.
+async function handleRelaySyncUpdate(client, msg) {
+    if (!client.key?.admin) {
+        sendRelayResult(client, msg.id, false, { code: "admin_required", message: "sync_bundle_updated needs an admin key" });
+        return;
+    }
+    let rejected = null;
+    if (typeof msg.bundle === "string") {
+        rejected = acceptSignedBundle(msg.bundle, msg.signature);
+    }
+    else if (typeof msg.delta === "string") {
+        rejected = acceptSignedDelta(msg.delta, msg.signature);
+        if (rejected) {
+            // The delta itself stays refused; the sender learns separately
+            // whether the full-bundle pull got us up to date anyway
+            console.warn(`[Agent/Sync] Pushed delta not applied (${rejected}), fetching full bundle`);
+            const fetched = await syncConfigFromCloud();
+            sendRelayResult(client, msg.id, false, { code: "sync_rejected", message: rejected, fallback: { fetched, syncVersion: currentSyncVersion } });
+            return;
+        }
+    }
+    else if (!(await syncConfigFromCloud())) {
+        rejected = "Fetching the bundle failed";
+    }
+    if (rejected) {
+        console.error(`[Agent/Sync] Rejected pushed bundle: ${rejected}`);
+        sendRelayResult(client, msg.id, false, { code: "sync_rejected", message: rejected });
+        return;
+    }
+    console.log(`[Agent/Sync] Applied pushed update, now v${currentSyncVersion} (${syncedBundle?.automations?.length || 0} automations)`);
+    sendRelayResult(client, msg.id, true, { syncVersion: currentSyncVersion });
+}
+// ---- Relay commands ----
+// The relay answers the HA WebSocket commands the cloud uses, with the same
+// key scopes, service policy and audit trail as the REST routes.
+// Shaped like an express request so the REST permission helpers apply as-is
+function relayRequest(client, msg) {
+    return {
+        relay: true,
+        agentClient: { remote: client.remote, ip: client.ip },
+        agentKey: client.key,
+        body: { pin: msg.pin, confirmation_token: msg.confirmation_token },
+        headers: {},
+        query: {},
+    };
+}
+async function relayCallService(client, msg) {
+    const { domain, service } = msg;
+    if (typeof domain !== "string" || typeof service !== "string" || !domain || !service) {
+        return sendRelayResult(client, msg.id, false, { code: "invalid_format", message: "domain and service are required" });
+    }
+    const target = isPlainObject(msg.target) ? msg.target : undefined;
+    const serviceData = isPlainObject(msg.service_data) ? msg.service_data : {};
+    const entityIds = [...new Set([...toEntityIdList(serviceData.entity_id), ...toEntityIdList(target?.entity_id)])];
+    const req = relayRequest(client, msg);
+    const rejection = serviceCallRejection(req, domain, service, entityIds, [serviceData, target]);
+    if (rejection) {
+        const { error, code, ...extra } = rejection.body;
+        return sendRelayResult(client, msg.id, false, { code, message: error, ...extra });
+    }
+    try {
+        const result = await haWs.sendCommand({ type: "call_service", domain, service, service_data: serviceData, target, return_response: msg.return_response });
+        recordAudit({ source: auditSourceFromRequest(req), domain, service, entityIds, result: { success: true } });
+        sendRelayResult(client, msg.id, true, result);
+    }
+    catch (err) {
+        recordAudit({ source: auditSourceFromRequest(req), domain, service, entityIds, result: { success: false, error: err.message } });
+        sendRelayResult(client, msg.id, false, { code: err.code || "home_assistant_error", message: err.message });
+    }
+}
+async function relayGetStates(client, msg) {
+    let states;
+    if (stateCacheReady && wsConnected) {
+        states = [...haStateCache.values()];
+    }
+    else {
+        states = await haWs.sendCommand({ type: "get_states" }, { timeoutMs: 60000 });
+    }
+    sendRelayResult(client, msg.id, true, (states || []).filter((s) => keyAllowsEntity(client.key, s.entity_id)));
+}
+function handleRelayCommand(client, msg) {
+    switch (msg.type) {
+        case "ping":
+            try {
+                client.ws.send(JSON.stringify({ id: msg.id, type: "pong" }));
+            }
+            catch { }
+            return;
+        case "subscribe_events":
+            return relaySubscribe(client, msg);
+        case "unsubscribe_events": {
+            const subscription = client.subscriptions.get(msg.subscription);
+            if (!subscription) {
+                return sendRelayResult(client, msg.id, false, { code: "not_found", message: "Subscription not found." });
+            }
+            dropRelaySubscription(subscription);
+            client.subscriptions.delete(msg.subscription);
+            return sendRelayResult(client, msg.id, true, null);
+        }
+        case "sync_bundle_updated":
+            return handleRelaySyncUpdate(client, msg);
+    }
+    if (!["call_service", "get_states", "get_config"].includes(msg.type)) {
+        return sendRelayResult(client, msg.id, false, { code: "unknown_command", message: "Unknown command." });
+    }
+    if (!haWs?.isConnected()) {
+        return sendRelayResult(client, msg.id, false, { code: "not_connected", message: "Home Assistant is not connected" });
+    }
+    if (msg.type === "call_service")
+        return relayCallService(client, msg);
+    if (msg.type === "get_states")
+        return relayGetStates(client, msg);
+    return haWs.sendCommand({ type: "get_config" }).then((result) => sendRelayResult(client, msg.id, true, result));
+}
+function handleRelayConnection(ws, remoteClient) {
+    const client = { ws, subscriptions: new Map(), authed: false, pingTimer: null, remote: remoteClient.remote, ip: remoteClient.ip };
     relayClients.add(client);
-    console.log(`[Agent/Relay] Cloud client connected (total ${relayClients.size})`);
+    console.log(`[Agent/Relay] ${client.remote ? "Remote" : "Local"} client connected from ${client.ip} (total ${relayClients.size})`);
     try {
         ws.send(JSON.stringify({ type: "auth_required", ha_version: "homecasa-agent" }));
     }
@@ -934,7 +4625,10 @@ function handleRelayConnection(ws) {
         clearTimeout(authTimer);
         if (client.pingTimer)
             clearInterval(client.pingTimer);
+        for (const subscription of client.subscriptions.values())
+            dropRelaySubscription(subscription);
         relayClients.delete(client);
+        updateHybridOwner();
     };
     ws.on("message", (raw) => {
         let msg;
@@ -945,18 +4639,33 @@ function handleRelayConnection(ws) {
             return;
         }
         if (msg.type === "auth") {
-            if (msg.access_token && msg.access_token === config.agentApiKey) {
+            // Same rule as authenticateAgent: only local, non-tunnelled clients skip the key
+            const key = findApiKey(msg.access_token);
+            if (!client.remote || key) {
                 client.authed = true;
+                client.key = key;
                 clearTimeout(authTimer);
                 try {
                     ws.send(JSON.stringify({ type: "auth_ok", ha_version: "homecasa-agent" }));
                 }
                 catch { }
-                client.pingTimer = setInterval(() => { try {
-                    ws.ping();
-                }
-                catch { } }, RELAY_PING_INTERVAL_MS);
-                console.log("[Agent/Relay] Cloud client authenticated");
+                client.alive = true;
+                ws.on("pong", () => { client.alive = true; });
+                client.pingTimer = setInterval(() => {
+                    if (!client.alive) {
+                        console.warn(`[Agent/Relay] Client ${client.ip} missed a pong, terminating`);
+                        ws.terminate();
+                        return;
+                    }
+                    client.alive = false;
+                    try {
+                        ws.ping();
+                    }
+                    catch { }
+                }, RELAY_PING_INTERVAL_MS);
+                sendRelayHaConnection(client);
+                console.log(`[Agent/Relay] Client ${client.ip} authenticated`);
+                updateHybridOwner();
             }
             else {
                 try {
@@ -972,22 +4681,10 @@ function handleRelayConnection(ws) {
         }
         if (!client.authed)
             return;
-        if (msg.type === "subscribe_events") {
-            client.events.add(msg.event_type || "*");
-            if (typeof msg.id === "number") {
-                try {
-                    ws.send(JSON.stringify({ id: msg.id, type: "result", success: true, result: null }));
-                }
-                catch { }
-            }
-            return;
-        }
-        if (typeof msg.id === "number") {
-            try {
-                ws.send(JSON.stringify({ id: msg.id, type: "result", success: true, result: null }));
-            }
-            catch { }
-        }
+        Promise.resolve().then(() => handleRelayCommand(client, msg)).catch((err) => {
+            console.error(`[Agent/Relay] ${msg.type} failed:`, err);
+            sendRelayResult(client, msg.id, false, { code: err.code || "unknown_error", message: err.message || String(err) });
+        });
     });
     ws.on("close", () => {
         cleanup();
@@ -1004,7 +4701,12 @@ catch (e) {
 }
 // ==================== Start Server ====================
 const PWA_SYNC_INTERVAL = 30 * 60 * 1000;
+loadHaHomeConfig();
+loadSchedulerState();
+loadPwaState();
 loadSyncBundle();
+loadApiKeys();
+loadPolicy();
 if (config.homeId && !syncHomeId) {
     syncHomeId = config.homeId;
 }
@@ -1030,11 +4732,10 @@ const server = app.listen(config.port, "0.0.0.0", () => {
         await syncConfigFromCloud();
     }, 5000);
     setInterval(async () => {
+        if (cloudRelayConnected() && Date.now() - lastConfigPollAt < CONFIG_SYNC_RELAY_INTERVAL)
+            return;
         await syncConfigFromCloud();
     }, CONFIG_SYNC_INTERVAL);
-    setInterval(() => {
-        processLocalAutomations();
-    }, 1000);
 });
 if (WebSocketServerCtor) {
     const wss = new WebSocketServerCtor({ noServer: true });
@@ -1047,7 +4748,8 @@ if (WebSocketServerCtor) {
             pathname = req.url || "";
         }
         if (pathname === "/api/websocket" || pathname === "/websocket") {
-            wss.handleUpgrade(req, socket, head, (ws) => handleRelayConnection(ws));
+            const remoteClient = resolveClient(req);
+            wss.handleUpgrade(req, socket, head, (ws) => handleRelayConnection(ws, remoteClient));
         }
         else {
             socket.destroy();